@@ -0,0 +1,146 @@
+/**
+ * Background Parser
+ * Parses large patches in a Web Worker (js/parserWorker.js) so the page stays
+ * responsive, with streamed files, progress and cancellation. Small patches, and
+ * browsers that can't start the worker (e.g. pages opened from file://), are
+ * parsed on the main thread instead.
+ */
+
+const BackgroundParser = (() => {
+  const WORKER_URL = './js/parserWorker.js';
+
+  // Below this size parsing is quick enough that a worker only adds overhead
+  const WORKER_THRESHOLD = 512 * 1024;
+
+  let worker = null;
+  let workerUnavailable = false;
+  let nextId = 1;
+
+  /**
+   * Parse a patch, in the worker when it is large
+   * @param {string} patchText - The raw patch text
+   * @param {Object} callbacks - Callbacks
+   * @param {Function} callbacks.onFiles - Called with (files, { parsed, total }) as batches of
+   *   file summaries arrive (worker only)
+   * @returns {Object} { promise, cancel, inWorker } - promise resolves with the PatchParser.parse
+   *   result and rejects with an error that has cancelled: true after cancel()
+   */
+  function parse(patchText, callbacks = {}) {
+    const activeWorker = patchText.length >= WORKER_THRESHOLD ? getWorker() : null;
+
+    if (!activeWorker) {
+      return {
+        promise: new Promise(resolve => resolve(PatchParser.parse(patchText))),
+        cancel() {},
+        inWorker: false,
+      };
+    }
+
+    const id = nextId++;
+    let settle = null;
+
+    const promise = new Promise((resolve, reject) => {
+      settle = { resolve, reject };
+
+      activeWorker.onmessage = (e) => {
+        const message = e.data;
+        if (message.id !== id) return;
+
+        if (message.type === 'files') {
+          callbacks.onFiles?.(message.files, message.progress);
+        } else if (message.type === 'done') {
+          resolve(restoreText(message.result, patchText));
+        } else if (message.type === 'error') {
+          reject(new Error(message.message));
+        }
+      };
+
+      // The worker script couldn't be loaded or crashed: parse here instead
+      activeWorker.onerror = (e) => {
+        e.preventDefault();
+        console.warn('Parser worker failed, parsing on the main thread:', e.message);
+        discardWorker();
+        workerUnavailable = true;
+        try {
+          resolve(PatchParser.parse(patchText));
+        } catch (error) {
+          reject(error);
+        }
+      };
+
+      activeWorker.postMessage({ id, text: patchText });
+    });
+
+    return {
+      promise,
+      // A parse can't be interrupted from outside, so the worker is replaced
+      cancel() {
+        discardWorker();
+        const error = new Error('Parsing cancelled');
+        error.cancelled = true;
+        settle.reject(error);
+      },
+      inWorker: true,
+    };
+  }
+
+  /**
+   * Put back the text the worker leaves out of its result (see parserWorker.js)
+   * @param {Object} result - Result from the worker
+   * @param {string} patchText - The text that was parsed
+   * @returns {Object} The result as PatchParser.parse returns it
+   */
+  function restoreText(result, patchText) {
+    result.raw = patchText;
+
+    let lines = null;
+    result.commits.forEach(commit => {
+      if (result.commits.length === 1) {
+        commit.raw = patchText;
+      } else {
+        lines = lines || patchText.split('\n');
+        commit.raw = lines.slice(commit.startLine, commit.startLine + commit.rawLineCount).join('\n');
+      }
+      if (commit.diffText === null) commit.diffText = commit.raw;
+      delete commit.rawLineCount;
+    });
+
+    result.diffText = result.commits.length === 1
+      ? result.commits[0].diffText
+      : result.commits.map(commit => commit.diffText).join('\n');
+    return result;
+  }
+
+  /**
+   * Get the shared worker, starting it if needed
+   * @returns {Worker|null} Worker or null if workers can't be used here
+   */
+  function getWorker() {
+    if (worker || workerUnavailable) return worker;
+
+    try {
+      if (typeof Worker === 'undefined') throw new Error('Web Workers are not supported');
+      worker = new Worker(WORKER_URL);
+    } catch (error) {
+      console.warn('Parser worker unavailable, parsing on the main thread:', error.message);
+      workerUnavailable = true;
+      worker = null;
+    }
+    return worker;
+  }
+
+  /**
+   * Stop the worker; the next parse starts a fresh one
+   */
+  function discardWorker() {
+    if (worker) {
+      worker.terminate();
+      worker = null;
+    }
+  }
+
+  // Public API
+  return {
+    parse,
+  };
+})();
@@ -0,0 +1,313 @@
+/**
+ * Binary Patch
+ * Decodes `GIT binary patch` payloads (base85 + zlib, literal or delta)
+ * into the before/after file contents
+ */
+
+const BinaryPatch = (() => {
+  // Git's base85 alphabet (see base85.c in git)
+  const BASE85_ALPHABET = '0123456789ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz!#$%&()*+-;<=>?@^_`{|}~';
+
+  const BASE85_VALUES = (() => {
+    const values = {};
+    for (let i = 0; i < BASE85_ALPHABET.length; i++) {
+      values[BASE85_ALPHABET[i]] = i;
+    }
+    return values;
+  })();
+
+  // Decoded results per parsed file (decoding can be expensive)
+  const cache = new WeakMap();
+
+  /**
+   * Decode both sides of a binary file
+   * @param {Object} file - Parsed file object with a binaryPatch
+   * @returns {Object} { oldData, newData, error } - data is a Uint8Array or null when unavailable
+   */
+  function decode(file) {
+    if (cache.has(file)) {
+      return cache.get(file);
+    }
+
+    const result = { oldData: null, newData: null, error: null };
+    const patch = file.binaryPatch;
+
+    if (!patch || !patch.forward) {
+      result.error = 'Binary content is not included in this patch (create it with git diff --binary)';
+      cache.set(file, result);
+      return result;
+    }
+
+    try {
+      const forward = inflateBlock(patch.forward);
+      const reverse = patch.reverse ? inflateBlock(patch.reverse) : null;
+
+      // Literal blocks hold full contents; delta blocks need the other side as base
+      if (patch.forward.method === 'literal') {
+        result.newData = forward;
+      }
+      if (reverse && patch.reverse.method === 'literal') {
+        result.oldData = reverse;
+      }
+      if (!result.newData && result.oldData) {
+        result.newData = applyDelta(result.oldData, forward);
+      }
+      if (!result.oldData && result.newData && reverse) {
+        result.oldData = applyDelta(result.newData, reverse);
+      }
+
+      // Added and deleted files have an empty side
+      if (file.type === 'added') result.oldData = null;
+      if (file.type === 'deleted') result.newData = null;
+
+      if (!result.oldData && !result.newData) {
+        result.error = 'This binary patch only contains deltas; the original file is needed to reconstruct it';
+      }
+    } catch (error) {
+      console.error('Failed to decode binary patch:', error);
+      result.error = 'Failed to decode binary patch: ' + error.message;
+    }
+
+    cache.set(file, result);
+    return result;
+  }
+
+  /**
+   * Compute the new contents of a binary file from its current contents
+   * @param {Object} file - Parsed file object with a binaryPatch
+   * @param {Uint8Array|null} base - Current contents (null for added files)
+   * @returns {Uint8Array|null} New contents, or null for deleted files
+   * @throws {Error} If the patch carries no binary data or was made from other contents
+   */
+  function applyTo(file, base) {
+    if (!file.binaryPatch || !file.binaryPatch.forward) {
+      throw new Error('binary content is not included in this patch');
+    }
+
+    const decoded = decode(file);
+    if (base && decoded.oldData && !sameBytes(base, decoded.oldData)) {
+      throw new Error('the file does not match the patch');
+    }
+    if (file.type === 'deleted' || file.changeType === 'deleted') return null;
+    if (decoded.newData) return decoded.newData;
+    if (!base) throw new Error(decoded.error || 'the original file is needed');
+    return applyDelta(base, inflateBlock(file.binaryPatch.forward));
+  }
+
+  function sameBytes(a, b) {
+    if (a.length !== b.length) return false;
+    for (let i = 0; i < a.length; i++) {
+      if (a[i] !== b[i]) return false;
+    }
+    return true;
+  }
+
+  /**
+   * Decode and inflate one literal/delta block
+   * @param {Object} block - { method, size, data }
+   * @returns {Uint8Array} Inflated bytes
+   */
+  function inflateBlock(block) {
+    if (block.size === 0 && block.method === 'literal') {
+      return new Uint8Array(0);
+    }
+
+    const inflated = pako.inflate(decodeBase85Lines(block.data));
+    if (inflated.length !== block.size) {
+      throw new Error(`expected ${block.size} bytes, got ${inflated.length}`);
+    }
+    return inflated;
+  }
+
+  /**
+   * Decode git base85 lines
+   * The first character of each line encodes its byte count (A-Z = 1-26, a-z = 27-52)
+   * @param {Array<string>} lines - Encoded lines
+   * @returns {Uint8Array} Decoded bytes
+   */
+  function decodeBase85Lines(lines) {
+    const chunks = [];
+    let total = 0;
+
+    lines.forEach(line => {
+      const lengthChar = line.charCodeAt(0);
+      const length = lengthChar <= 90 ? lengthChar - 64 : lengthChar - 96 + 26;
+      const bytes = new Uint8Array(Math.ceil(length / 4) * 4);
+      let offset = 0;
+
+      for (let i = 1; i + 5 <= line.length && offset < bytes.length; i += 5) {
+        let acc = 0;
+        for (let j = 0; j < 5; j++) {
+          const value = BASE85_VALUES[line[i + j]];
+          if (value === undefined) {
+            throw new Error(`invalid base85 character "${line[i + j]}"`);
+          }
+          acc = acc * 85 + value;
+        }
+        bytes[offset++] = (acc >>> 24) & 0xff;
+        bytes[offset++] = (acc >>> 16) & 0xff;
+        bytes[offset++] = (acc >>> 8) & 0xff;
+        bytes[offset++] = acc & 0xff;
+      }
+
+      chunks.push(bytes.subarray(0, length));
+      total += length;
+    });
+
+    const result = new Uint8Array(total);
+    let position = 0;
+    chunks.forEach(chunk => {
+      result.set(chunk, position);
+      position += chunk.length;
+    });
+    return result;
+  }
+
+  /**
+   * Apply a git delta (copy/insert instructions) to a base buffer
+   * @param {Uint8Array} base - Source contents
+   * @param {Uint8Array} delta - Inflated delta
+   * @returns {Uint8Array} Target contents
+   */
+  function applyDelta(base, delta) {
+    let position = 0;
+
+    const readVarint = () => {
+      let value = 0;
+      let shift = 0;
+      let byte;
+      do {
+        byte = delta[position++];
+        value |= (byte & 0x7f) << shift;
+        shift += 7;
+      } while (byte & 0x80);
+      return value;
+    };
+
+    const sourceSize = readVarint();
+    const targetSize = readVarint();
+
+    if (sourceSize !== base.length) {
+      throw new Error('delta does not match the base file');
+    }
+
+    const target = new Uint8Array(targetSize);
+    let out = 0;
+
+    while (position < delta.length) {
+      const cmd = delta[position++];
+
+      if (cmd & 0x80) {
+        // Copy from base: offset and size bytes are present per flag bit
+        let offset = 0;
+        let size = 0;
+        if (cmd & 0x01) offset |= delta[position++];
+        if (cmd & 0x02) offset |= delta[position++] << 8;
+        if (cmd & 0x04) offset |= delta[position++] << 16;
+        if (cmd & 0x08) offset |= delta[position++] << 24;
+        if (cmd & 0x10) size |= delta[position++];
+        if (cmd & 0x20) size |= delta[position++] << 8;
+        if (cmd & 0x40) size |= delta[position++] << 16;
+        if (size === 0) size = 0x10000;
+
+        target.set(base.subarray(offset, offset + size), out);
+        out += size;
+      } else if (cmd) {
+        // Insert the next cmd bytes literally
+        target.set(delta.subarray(position, position + cmd), out);
+        position += cmd;
+        out += cmd;
+      } else {
+        throw new Error('unexpected delta opcode 0');
+      }
+    }
+
+    if (out !== targetSize) {
+      throw new Error('delta produced the wrong size');
+    }
+    return target;
+  }
+
+  /**
+   * Detect the image type of some bytes by their signature
+   * @param {Uint8Array} data - File contents
+   * @param {string} filePath - File path (used for SVG)
+   * @returns {string|null} MIME type or null if not a previewable image
+   */
+  function detectImageType(data, filePath = '') {
+    if (!data || data.length < 4) return null;
+
+    const startsWith = (...bytes) => bytes.every((b, i) => data[i] === b);
+
+    if (startsWith(0x89, 0x50, 0x4e, 0x47)) return 'image/png';
+    if (startsWith(0xff, 0xd8, 0xff)) return 'image/jpeg';
+    if (startsWith(0x47, 0x49, 0x46, 0x38)) return 'image/gif';
+    if (startsWith(0x42, 0x4d)) return 'image/bmp';
+    if (startsWith(0x00, 0x00, 0x01, 0x00)) return 'image/x-icon';
+    if (startsWith(0x52, 0x49, 0x46, 0x46) && data.length > 12 &&
+        String.fromCharCode(data[8], data[9], data[10], data[11]) === 'WEBP') return 'image/webp';
+    if (/\.svg$/i.test(filePath)) return 'image/svg+xml';
+
+    return null;
+  }
+
+  /**
+   * Build a data URL for some bytes
+   * @param {Uint8Array} data - File contents
+   * @param {string} mimeType - MIME type
+   * @returns {string} Data URL
+   */
+  function toDataURL(data, mimeType = 'application/octet-stream') {
+    let binary = '';
+    const chunkSize = 0x8000;
+    for (let i = 0; i < data.length; i += chunkSize) {
+      binary += String.fromCharCode.apply(null, data.subarray(i, i + chunkSize));
+    }
+    return `data:${mimeType};base64,${btoa(binary)}`;
+  }
+
+  /**
+   * Format the first bytes of a file as a hex dump
+   * @param {Uint8Array} data - File contents
+   * @param {number} maxBytes - Number of bytes to show
+   * @returns {string} Hex dump (offset, hex bytes, ASCII)
+   */
+  function hexDump(data, maxBytes = 256) {
+    const rows = [];
+    const length = Math.min(data.length, maxBytes);
+
+    for (let offset = 0; offset < length; offset += 16) {
+      const bytes = Array.from(data.subarray(offset, Math.min(offset + 16, length)));
+      const hex = bytes.map(b => b.toString(16).padStart(2, '0')).join(' ');
+      const ascii = bytes.map(b => (b >= 0x20 && b < 0x7f ? String.fromCharCode(b) : '.')).join('');
+      rows.push(`${offset.toString(16).padStart(8, '0')}  ${hex.padEnd(47)}  ${ascii}`);
+    }
+
+    if (data.length > maxBytes) {
+      rows.push(`… ${data.length - maxBytes} more bytes`);
+    }
+    return rows.join('\n');
+  }
+
+  /**
+   * Format a byte count (e.g. "12.3 KB")
+   * @param {number} bytes - Size in bytes
+   * @returns {string} Formatted size
+   */
+  function formatSize(bytes) {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+  }
+
+  // Public API
+  return {
+    decode,
+    applyTo,
+    applyDelta,
+    detectImageType,
+    toDataURL,
+    hexDump,
+    formatSize,
+  };
+})();
@@ -0,0 +1,473 @@
+/**
+ * Diff Panels
+ * Builds HTML for files that neither diff viewer can draw on its own
+ * (combined diffs from merge commits, binary previews, submodules, LFS pointers, diffstat-only
+ * files), plus the file badges shown
+ * in the file tree and diff headers. Shared by the Modern and Classic views.
+ */
+
+const DiffPanels = (() => {
+  /**
+   * Check if a file needs a custom panel instead of the regular diff viewer
+   * @param {Object} file - Parsed file object
+   * @returns {boolean} True if a panel should be rendered
+   */
+  function hasPanel(file) {
+    return !!(file && (file.isCombined || file.isBinary || file.statsOnly || file.submodule || file.lfs));
+  }
+
+  /**
+   * Render the panel for a file
+   * @param {Object} file - Parsed file object
+   * @returns {string} Panel HTML
+   */
+  function render(file) {
+    if (file.statsOnly) {
+      return renderStatsOnly(file);
+    }
+    if (file.submodule) {
+      return renderSubmodule(file);
+    }
+    if (file.lfs) {
+      return renderLfsPointer(file);
+    }
+    if (file.isCombined) {
+      return renderCombinedDiff(file);
+    }
+    if (file.isBinary) {
+      return renderBinaryPreview(file);
+    }
+    return '';
+  }
+
+  /**
+   * Wire up interactive controls (image compare modes, sliders) inside a container
+   * @param {HTMLElement} root - Element containing rendered panels
+   */
+  function bind(root) {
+    root.querySelectorAll('.image-compare').forEach(compare => {
+      compare.querySelectorAll('.image-mode-btn').forEach(btn => {
+        btn.addEventListener('click', () => {
+          compare.dataset.mode = btn.dataset.mode;
+          compare.querySelectorAll('.image-mode-btn').forEach(b => {
+            b.classList.toggle('active', b === btn);
+          });
+        });
+      });
+
+      compare.querySelector('.swipe-range')?.addEventListener('input', (e) => {
+        compare.style.setProperty('--swipe', `${e.target.value}%`);
+      });
+
+      compare.querySelector('.onion-range')?.addEventListener('input', (e) => {
+        compare.style.setProperty('--onion', e.target.value / 100);
+      });
+    });
+  }
+
+  /**
+   * Render a file known only from a diffstat: its line counts as a bar
+   * @param {Object} file - Stats-only file object
+   * @returns {string} Panel HTML
+   */
+  function renderStatsOnly(file) {
+    if (file.isBinary) {
+      return '<div class="stats-only"><p class="binary-message">Binary file changed (only a diffstat is available)</p></div>';
+    }
+
+    const total = file.additions + file.deletions;
+    const approx = file.approximate ? '~' : '';
+    const addWidth = total > 0 ? (file.additions / total) * 100 : 0;
+
+    return `
+      <div class="stats-only">
+        <div class="stats-only-counts">
+          <span class="stats-only-additions">${approx}+${file.additions}</span>
+          <span class="stats-only-deletions">${approx}-${file.deletions}</span>
+        </div>
+        <div class="stats-only-bar" title="${total} changed line${total !== 1 ? 's' : ''}">
+          <span class="stats-only-bar-add" style="width: ${addWidth}%"></span>
+          <span class="stats-only-bar-del" style="width: ${total > 0 ? 100 - addWidth : 0}%"></span>
+        </div>
+        <p class="stats-only-note">Only a diffstat is available for this file${file.approximate ? '; additions and deletions are estimated from its graph' : ''}.</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a submodule update as old → new commit
+   * @param {Object} file - Parsed file object with a submodule
+   * @returns {string} Panel HTML
+   */
+  function renderSubmodule(file) {
+    const { oldCommit, newCommit, dirty } = file.submodule;
+    const commit = sha => `<code class="special-file-id" title="${escapeHtml(sha)}">${escapeHtml(sha.substring(0, 12))}</code>`;
+
+    let change;
+    if (oldCommit && newCommit) {
+      change = `${commit(oldCommit)} → ${commit(newCommit)}`;
+    } else if (newCommit) {
+      change = `Added at ${commit(newCommit)}`;
+    } else if (oldCommit) {
+      change = `Removed (was at ${commit(oldCommit)})`;
+    } else {
+      change = 'Commit not shown in this patch';
+    }
+
+    return `
+      <div class="special-file">
+        <div class="special-file-title">Submodule</div>
+        <div class="special-file-change">${change}</div>
+        ${dirty ? '<p class="special-file-note">The submodule has uncommitted changes (-dirty)</p>' : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Render a Git LFS pointer change as old → new object id and size
+   * @param {Object} file - Parsed file object with an lfs pointer
+   * @returns {string} Panel HTML
+   */
+  function renderLfsPointer(file) {
+    const { oldOid, newOid, oldSize, newSize } = file.lfs;
+    // "sha256:<64 hex>" is too long to read; the start is enough to tell objects apart
+    const oid = value => `<code class="special-file-id" title="${escapeHtml(value)}">${escapeHtml(value.replace(/^(\w+:)?(.{12}).+$/, '$1$2…'))}</code>`;
+    const side = (value, size) => (value ? `${oid(value)} <span class="special-file-size">${BinaryPatch.formatSize(size)}</span>` : '');
+
+    let change;
+    if (oldOid && newOid) {
+      change = `${side(oldOid, oldSize)} → ${side(newOid, newSize)}`;
+    } else if (newOid) {
+      change = `Added ${side(newOid, newSize)}`;
+    } else {
+      change = `Removed ${side(oldOid, oldSize)}`;
+    }
+
+    return `
+      <div class="special-file">
+        <div class="special-file-title">Git LFS object</div>
+        <div class="special-file-change">${change}</div>
+        <p class="special-file-note">The file content is stored in Git LFS; this patch only changes its pointer</p>
+      </div>
+    `;
+  }
+
+  /**
+   * Render a binary file: image compare for images, hex preview otherwise
+   * @param {Object} file - Parsed binary file object
+   * @returns {string} Panel HTML
+   */
+  function renderBinaryPreview(file) {
+    const decoded = BinaryPatch.decode(file);
+
+    if (decoded.error) {
+      return `<div class="binary-preview"><p class="binary-message">${escapeHtml(decoded.error)}</p></div>`;
+    }
+
+    const oldName = file.oldPath.split('/').pop();
+    const newName = file.newPath.split('/').pop();
+    const oldImage = BinaryPatch.detectImageType(decoded.oldData, file.oldPath);
+    const newImage = BinaryPatch.detectImageType(decoded.newData, file.newPath);
+
+    // Images: side-by-side, swipe and onion skin when both sides are available
+    if ((oldImage || !decoded.oldData) && (newImage || !decoded.newData)) {
+      const oldSrc = decoded.oldData ? BinaryPatch.toDataURL(decoded.oldData, oldImage) : null;
+      const newSrc = decoded.newData ? BinaryPatch.toDataURL(decoded.newData, newImage) : null;
+
+      let html = '<div class="binary-preview">';
+      html += '<div class="image-compare" data-mode="side-by-side" style="--swipe: 50%; --onion: 0.5">';
+
+      if (oldSrc && newSrc) {
+        html += `
+          <div class="image-compare-toolbar view-toggle">
+            <button class="view-btn image-mode-btn active" data-mode="side-by-side">2-up</button>
+            <button class="view-btn image-mode-btn" data-mode="swipe">Swipe</button>
+            <button class="view-btn image-mode-btn" data-mode="onion">Onion Skin</button>
+          </div>
+        `;
+      }
+
+      html += '<div class="image-side-by-side">';
+      if (oldSrc) {
+        html += renderImageSide('Before', oldSrc, decoded.oldData, oldName, 'old');
+      }
+      if (newSrc) {
+        html += renderImageSide('After', newSrc, decoded.newData, newName, 'new');
+      }
+      html += '</div>';
+
+      if (oldSrc && newSrc) {
+        html += `
+          <div class="image-overlay">
+            <div class="image-stack">
+              <img class="image-stack-old" src="${oldSrc}" alt="Before">
+              <img class="image-stack-new" src="${newSrc}" alt="After">
+            </div>
+            <input type="range" class="swipe-range" min="0" max="100" value="50" aria-label="Swipe position">
+            <input type="range" class="onion-range" min="0" max="100" value="50" aria-label="After image opacity">
+          </div>
+        `;
+      }
+
+      html += '</div></div>';
+      return html;
+    }
+
+    // Other binary files: size, hex preview and downloads
+    let html = '<div class="binary-preview"><div class="binary-sides">';
+    if (decoded.oldData) {
+      html += renderHexSide('Before', decoded.oldData, oldName);
+    }
+    if (decoded.newData) {
+      html += renderHexSide('After', decoded.newData, newName);
+    }
+    html += '</div></div>';
+    return html;
+  }
+
+  function renderImageSide(label, src, data, filename, side) {
+    return `
+      <figure class="image-side image-side-${side}">
+        <div class="image-frame"><img src="${src}" alt="${label}"></div>
+        <figcaption>
+          <span>${label} • ${BinaryPatch.formatSize(data.length)}</span>
+          ${renderDownloadLink(data, filename)}
+        </figcaption>
+      </figure>
+    `;
+  }
+
+  function renderHexSide(label, data, filename) {
+    return `
+      <div class="binary-side">
+        <div class="binary-side-header">
+          <span>${label} • ${BinaryPatch.formatSize(data.length)}</span>
+          ${renderDownloadLink(data, filename)}
+        </div>
+        <pre class="hex-dump">${escapeHtml(BinaryPatch.hexDump(data))}</pre>
+      </div>
+    `;
+  }
+
+  function renderDownloadLink(data, filename) {
+    return `<a class="btn-ghost binary-download" href="${BinaryPatch.toDataURL(data)}" download="${escapeHtml(filename)}">Download</a>`;
+  }
+
+  /**
+   * Describe rename, copy and permission changes of a file, and which version of
+   * an interdiff changes it
+   * @param {Object} file - Parsed file object
+   * @returns {Array<Object>} Badges with { kind, label, title }
+   */
+  function getBadges(file) {
+    const badges = [];
+    const type = file.changeType || file.type;
+
+    if (type === 'renamed') {
+      const percent = file.similarity !== null && file.similarity !== undefined ? ` ${file.similarity}%` : '';
+      badges.push({
+        kind: 'renamed',
+        label: `R${percent}`,
+        title: `Renamed from ${file.oldPath}${percent ? ` (${file.similarity}% similar)` : ''}`,
+      });
+    }
+
+    if (type === 'copied') {
+      const percent = file.similarity !== null && file.similarity !== undefined ? ` ${file.similarity}%` : '';
+      badges.push({
+        kind: 'copied',
+        label: `C${percent}`,
+        title: `Copied from ${file.oldPath}${percent ? ` (${file.similarity}% similar)` : ''}`,
+      });
+    }
+
+    if (file.dissimilarity !== null && file.dissimilarity !== undefined) {
+      badges.push({
+        kind: 'rewrite',
+        label: `rewrite ${file.dissimilarity}%`,
+        title: `Complete rewrite (${file.dissimilarity}% dissimilar)`,
+      });
+    }
+
+    if (file.oldMode && file.newMode && file.oldMode !== file.newMode) {
+      badges.push({
+        kind: 'mode',
+        label: `mode ${file.oldMode} → ${file.newMode}`,
+        title: describeModeChange(file.oldMode, file.newMode),
+      });
+    }
+
+    // Interdiffs mark files that only one version of the patch changes
+    if (file.interdiff === 'v1' || file.interdiff === 'v2') {
+      badges.push({
+        kind: `only-${file.interdiff}`,
+        label: `only in ${file.interdiff}`,
+        title: file.interdiff === 'v1'
+          ? 'Changed only by the old version (v1); v2 leaves this file alone'
+          : 'Changed only by the new version (v2); v1 left this file alone',
+      });
+    }
+
+    return badges;
+  }
+
+  /**
+   * Render badges as HTML
+   * @param {Object} file - Parsed file object
+   * @returns {string} Badge HTML (empty if the file has none)
+   */
+  function renderBadges(file) {
+    const badges = getBadges(file);
+    if (badges.length === 0) return '';
+
+    return '<span class="file-badges">' + badges.map(badge =>
+      `<span class="file-badge ${badge.kind}" title="${escapeHtml(badge.title)}">${escapeHtml(badge.label)}</span>`
+    ).join('') + '</span>';
+  }
+
+  /**
+   * Render the blob IDs from the file's index line, with copy buttons and a file link button
+   * @param {Object} file - Parsed file object
+   * @returns {string} Blob ID HTML (empty if the patch has no index line for the file)
+   */
+  function renderBlobIds(file) {
+    if (!file.oldBlob || !file.newBlob) return '';
+
+    const copyIcon = '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path></svg>';
+    const linkIcon = '<svg width="12" height="12" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2"><path d="M10 13a5 5 0 0 0 7.54.54l3-3a5 5 0 0 0-7.07-7.07l-1.72 1.71"></path><path d="M14 11a5 5 0 0 0-7.54-.54l-3 3a5 5 0 0 0 7.07 7.07l1.71-1.71"></path></svg>';
+    const blob = (id, side) => `
+      <code class="blob-id" title="${side} blob ${escapeHtml(id)}">${escapeHtml(id.substring(0, 12))}</code>
+      <button class="blob-copy-btn" data-copy="${escapeHtml(id)}" title="Copy ${side.toLowerCase()} blob ID" aria-label="Copy ${side.toLowerCase()} blob ID">${copyIcon}</button>
+    `;
+    const deleted = file.newPath === '/dev/null';
+    const path = deleted ? file.oldPath : file.newPath;
+    const linkBlob = deleted ? file.oldBlob : file.newBlob;
+
+    return `<span class="blob-ids">${blob(file.oldBlob, 'Old')}<span class="blob-arrow">→</span>${blob(file.newBlob, 'New')}` +
+      `<button class="file-link-btn" data-file="${escapeHtml(path)}" data-blob="${escapeHtml(linkBlob)}" title="Copy link to this file" aria-label="Copy link to this file">${linkIcon}</button></span>`;
+  }
+
+  /**
+   * Render a header bar with the file paths, badges and blob IDs
+   * @param {Object} file - Parsed file object
+   * @returns {string} Header HTML (empty if the file has no badges or blob IDs)
+   */
+  function renderFileHeader(file) {
+    const badges = renderBadges(file);
+    const blobIds = renderBlobIds(file);
+    if (!badges && !blobIds) return '';
+
+    const paths = file.oldPath !== file.newPath && file.oldPath !== '/dev/null' && file.newPath !== '/dev/null'
+      ? `${escapeHtml(file.oldPath)} → ${escapeHtml(file.newPath)}`
+      : escapeHtml(file.newPath !== '/dev/null' ? file.newPath : file.oldPath);
+
+    return `<div class="file-diff-header"><span class="file-diff-path">${paths}</span>${badges}${blobIds}</div>`;
+  }
+
+  /**
+   * Render the marker shown after a line that has no newline at end of file
+   * @returns {string} Marker HTML
+   */
+  function renderNoNewlineMarker() {
+    return '<span class="no-newline-marker" title="No newline at end of file">⊘</span>';
+  }
+
+  /**
+   * Explain a permission change such as an executable bit flip
+   * @param {string} oldMode - Old git file mode
+   * @param {string} newMode - New git file mode
+   * @returns {string} Description
+   */
+  function describeModeChange(oldMode, newMode) {
+    const isExecutable = mode => mode === '100755';
+    if (newMode === '120000') return 'Changed to a symbolic link';
+    if (oldMode === '120000') return 'Changed from a symbolic link to a regular file';
+    if (!isExecutable(oldMode) && isExecutable(newMode)) return 'Executable bit added';
+    if (isExecutable(oldMode) && !isExecutable(newMode)) return 'Executable bit removed';
+    return `File mode changed from ${oldMode} to ${newMode}`;
+  }
+
+  /**
+   * Render a combined diff (diff --cc) with one marker column per parent
+   * @param {Object} file - Parsed combined file object
+   * @returns {string} Table HTML
+   */
+  function renderCombinedDiff(file) {
+    const parentCount = file.parentCount;
+    const parents = Array.from({ length: parentCount }, (_, i) => i);
+
+    let html = '<div class="combined-diff">';
+    html += '<table class="combined-diff-table">';
+    html += '<thead><tr>';
+    parents.forEach(p => {
+      html += `<th class="combined-line-num" title="Line number in parent ${p + 1}">P${p + 1}</th>`;
+    });
+    html += '<th class="combined-line-num" title="Line number in merge result">Result</th>';
+    parents.forEach(p => {
+      html += `<th class="combined-marker" title="Change relative to parent ${p + 1}">${p + 1}</th>`;
+    });
+    html += '<th></th></tr></thead><tbody>';
+
+    file.hunks.forEach(hunk => {
+      const ranges = hunk.parentRanges.map(r => `-${r.start},${r.lines}`).join(' ');
+      const header = `${'@'.repeat(parentCount + 1)} ${ranges} +${hunk.newStart},${hunk.newLines} ${'@'.repeat(parentCount + 1)}`;
+      html += `<tr class="combined-hunk-header"><td colspan="${parentCount * 2 + 2}">${escapeHtml(header)} ${escapeHtml(hunk.heading)}</td></tr>`;
+
+      hunk.lines.forEach(line => {
+        html += `<tr class="combined-line combined-${line.type}" title="${escapeHtml(describeOrigin(line))}">`;
+        line.parentLineNumbers.forEach(num => {
+          html += `<td class="combined-line-num">${num !== null ? num : ''}</td>`;
+        });
+        html += `<td class="combined-line-num">${line.newLineNumber !== null ? line.newLineNumber : ''}</td>`;
+        line.markers.forEach(marker => {
+          const markerClass = marker === '+' ? 'added' : (marker === '-' ? 'removed' : '');
+          html += `<td class="combined-marker ${markerClass}">${marker === ' ' ? '' : marker}</td>`;
+        });
+        html += `<td class="combined-content">${escapeHtml(line.content)}${line.noNewline ? renderNoNewlineMarker() : ''}</td>`;
+        html += '</tr>';
+      });
+    });
+
+    html += '</tbody></table></div>';
+    return html;
+  }
+
+  /**
+   * Describe which parents a combined diff line came from
+   * @param {Object} line - Combined line object
+   * @returns {string} Human readable description
+   */
+  function describeOrigin(line) {
+    if (line.type === 'del') {
+      const from = line.markers.map((m, i) => (m === '-' ? i + 1 : null)).filter(Boolean);
+      return `Dropped by the merge (was in parent ${from.join(', ')})`;
+    }
+
+    const kept = line.markers.map((m, i) => (m === ' ' ? i + 1 : null)).filter(Boolean);
+    const added = line.markers.map((m, i) => (m === '+' ? i + 1 : null)).filter(Boolean);
+
+    if (added.length === 0) return 'Unchanged in all parents';
+    if (kept.length === 0) return 'New in merge result (in no parent)';
+    return `From parent ${kept.join(', ')} (added relative to parent ${added.join(', ')})`;
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Public API
+  return {
+    hasPanel,
+    render,
+    bind,
+    getBadges,
+    renderBadges,
+    renderBlobIds,
+    renderFileHeader,
+    renderNoNewlineMarker,
+  };
+})();
@@ -4,39 +4,304 @@
  */
 
 const PatchParser = (() => {
+  // File headers of the non-git diff formats we understand
+  const SVN_INDEX_HEADER = /^Index: (.+)$/;
+  const HG_DIFF_HEADER = /^diff -r [0-9a-f]+(?: -r [0-9a-f]+)? (.+)$/;
+  const PERFORCE_HEADER = /^==== \/\/([^#]+?)(?:#(?:\d+|none))?(?: .*)? ====/;
+  const CONTEXT_HUNK_SEPARATOR = /^\*{15}(?: (.*))?$/;
+
+  // Commit separators: format-patch mbox lines and git log / git show headers
+  const MBOX_SEPARATOR = /^From [0-9a-f]{40} /;
+  const LOG_COMMIT_HEADER = /^commit ([0-9a-f]{7,40})(?: \(from [0-9a-f]+\))?(?: \((.+)\))?$/;
+
+  // Diffstat lines: --stat entries and summary, --numstat entries and --summary lines
+  const DIFFSTAT_LINE = /^ (\S.*?) +\| +(\d+)(?: (\+*)(-*))?$/;
+  const DIFFSTAT_BINARY_LINE = /^ (\S.*?) +\| +Bin(?: (\d+) -> (\d+) bytes)?$/;
+  const DIFFSTAT_SUMMARY = /^ (\d+) files? changed(?:, (\d+) insertions?\(\+\))?(?:, (\d+) deletions?\(-\))?$/;
+  const NUMSTAT_LINE = /^(\d+|-)\t(\d+|-)\t(.+)$/;
+  const SUMMARY_MODE_LINE = /^ (create|delete) mode (\d{6}) (.+)$/;
+  const SUMMARY_MODE_CHANGE_LINE = /^ mode change (\d{6}) => (\d{6}) (.+)$/;
+
+  // Submodule (gitlink) diffs and Git LFS pointer files
+  const SUBPROJECT_LINE = /^Subproject commit ([0-9a-f]{7,40})(-dirty)?$/;
+  const LFS_VERSION_LINE = /^version https:\/\/(git-lfs\.github\.com|hawser\.github\.com)\/spec\/v1$/;
+
+  // Trailers whose value is a "Name <email>" address
+  const PERSON_TRAILERS = ['signed-off-by', 'co-authored-by', 'reviewed-by', 'acked-by', 'tested-by', 'reported-by', 'suggested-by', 'cc'];
+
+  // Escapes used in git's C-style quoted paths (besides \ooo octal bytes)
+  const C_ESCAPES = { a: 7, b: 8, t: 9, n: 10, v: 11, f: 12, r: 13, '"': 34, '\\': 92 };
+
+  // Lines that start a file in any of the supported formats (used to estimate progress)
+  const FILE_HEADER = /^(diff --git |diff --cc |diff --combined |diff -r [0-9a-f]+ |Index: |==== \/\/)/;
+
+  // Intra-line diffs: word tokens, the size limit of the LCS table per line pair and
+  // how much of a pair must be unchanged before changes are highlighted within it
+  const WORD_TOKEN = /[\p{L}\p{N}_]+|\s+|[^\p{L}\p{N}_\s]/gu;
+  const INLINE_DIFF_MAX_CELLS = 250000;
+  const INLINE_DIFF_MIN_SIMILARITY = 0.3;
+
+  // Size limit of the LCS table used to re-pair lines in whitespace-insensitive views
+  const WHITESPACE_PAIR_MAX_CELLS = 1000000;
+
+  // Lines of context around the changes in an interdiff
+  const INTERDIFF_CONTEXT = 3;
+
+  // Moved-code detection: letters/digits a line needs to start a block and a block
+  // needs to count (git uses 20), candidates tried per line, and how similar an
+  // edited line must stay to remain part of a block
+  const MOVED_SEED_MIN_ALNUM = 3;
+  const MOVED_MIN_ALNUM = 20;
+  const MOVED_MAX_CANDIDATES = 20;
+  const MOVED_EDIT_MIN_SIMILARITY = 0.6;
+
+  // Language detection: "#!" lines, vim ("vim: set ft=python:") and Emacs
+  // ("-*- mode: ruby -*-") modelines
+  const SHEBANG = /^#!\s*(\S.*)$/;
+  const VIM_MODELINE = /(?:^|\s)(?:vim?|ex):.*?\b(?:ft|filetype|syntax|syn)=([\w+#-]+)/;
+  const EMACS_MODELINE = /-\*-\s*(?:.*?\bmode:\s*([\w+#-]+)|([\w+#-]+)\s*)(?:;.*?)?-\*-/i;
+
+  // File extensions (including compound ones such as "d.ts") -> Prism language ids
+  const LANGUAGE_EXTENSIONS = {
+    'js': 'javascript', 'mjs': 'javascript', 'cjs': 'javascript', 'jsx': 'jsx',
+    'ts': 'typescript', 'mts': 'typescript', 'cts': 'typescript', 'd.ts': 'typescript', 'tsx': 'tsx',
+    'coffee': 'coffeescript', 'json': 'json', 'jsonc': 'json', 'json5': 'json5',
+    'webmanifest': 'json', 'ipynb': 'json', 'js.map': 'json', 'css.map': 'json',
+    'py': 'python', 'pyi': 'python', 'pyw': 'python', 'bzl': 'python', 'bazel': 'python',
+    'java': 'java', 'kt': 'kotlin', 'kts': 'kotlin', 'gradle.kts': 'kotlin',
+    'gradle': 'groovy', 'groovy': 'groovy', 'scala': 'scala', 'sc': 'scala', 'clj': 'clojure',
+    'cljs': 'clojure', 'edn': 'clojure',
+    'go': 'go', 'rs': 'rust', 'swift': 'swift', 'dart': 'dart', 'zig': 'zig', 'nim': 'nim',
+    'c': 'c', 'h': 'c', 'cpp': 'cpp', 'cc': 'cpp', 'cxx': 'cpp', 'hpp': 'cpp', 'hh': 'cpp',
+    'hxx': 'cpp', 'ino': 'cpp', 'm': 'objectivec', 'mm': 'objectivec', 'cs': 'csharp',
+    'fs': 'fsharp', 'fsx': 'fsharp', 'vb': 'vbnet', 'd': 'd',
+    'php': 'php', 'blade.php': 'php', 'rb': 'ruby', 'rake': 'ruby', 'gemspec': 'ruby',
+    'erb': 'erb', 'cr': 'crystal', 'pl': 'perl', 'pm': 'perl', 'lua': 'lua', 'r': 'r',
+    'jl': 'julia', 'ex': 'elixir', 'exs': 'elixir', 'erl': 'erlang', 'hrl': 'erlang',
+    'hs': 'haskell', 'elm': 'elm', 'ml': 'ocaml', 'mli': 'ocaml', 'rkt': 'racket',
+    'scm': 'scheme', 'lisp': 'lisp', 'el': 'lisp', 'f90': 'fortran', 'pas': 'pascal',
+    'sol': 'solidity', 'v': 'verilog', 'sv': 'verilog', 'vhd': 'vhdl', 'vhdl': 'vhdl',
+    'asm': 'nasm', 'nasm': 'nasm', 'wat': 'wasm',
+    'html': 'markup', 'htm': 'markup', 'xhtml': 'markup', 'xml': 'markup', 'svg': 'markup',
+    'xsd': 'markup', 'xsl': 'markup', 'plist': 'markup', 'csproj': 'markup', 'vue': 'markup',
+    'svelte': 'markup', 'hbs': 'handlebars', 'handlebars': 'handlebars', 'mustache': 'handlebars',
+    'twig': 'twig', 'pug': 'pug', 'ejs': 'ejs', 'j2': 'django', 'jinja': 'django',
+    'jinja2': 'django', 'liquid': 'liquid',
+    'css': 'css', 'scss': 'scss', 'sass': 'sass', 'less': 'less', 'styl': 'stylus',
+    'md': 'markdown', 'markdown': 'markdown', 'mdx': 'markdown', 'rst': 'rest',
+    'adoc': 'asciidoc', 'tex': 'latex', 'sty': 'latex',
+    'yaml': 'yaml', 'yml': 'yaml', 'toml': 'toml', 'ini': 'ini', 'cfg': 'ini',
+    'properties': 'properties', 'env': 'bash', 'tf': 'hcl', 'tfvars': 'hcl', 'hcl': 'hcl',
+    'nix': 'nix', 'cmake': 'cmake', 'mk': 'makefile', 'mak': 'makefile',
+    'dockerfile': 'docker', 'proto': 'protobuf', 'graphql': 'graphql', 'gql': 'graphql',
+    'sql': 'sql', 'psql': 'sql', 'prisma': 'graphql',
+    'sh': 'bash', 'bash': 'bash', 'zsh': 'bash', 'ksh': 'bash', 'fish': 'bash',
+    'ps1': 'powershell', 'psm1': 'powershell', 'bat': 'batch', 'cmd': 'batch',
+    'vim': 'vim', 'diff': 'diff', 'patch': 'diff', 'csv': 'csv',
+  };
+
+  // Whole file names (lowercased) -> Prism language ids
+  const LANGUAGE_FILENAMES = {
+    'dockerfile': 'docker', 'containerfile': 'docker',
+    'makefile': 'makefile', 'gnumakefile': 'makefile', 'cmakelists.txt': 'cmake',
+    'jenkinsfile': 'groovy', 'build': 'python', 'workspace': 'python',
+    'gemfile': 'ruby', 'rakefile': 'ruby', 'podfile': 'ruby', 'vagrantfile': 'ruby',
+    'brewfile': 'ruby', 'guardfile': 'ruby', 'fastfile': 'ruby',
+    'pipfile': 'toml', 'cargo.lock': 'toml', 'go.mod': 'go-module', 'go.sum': 'go-module',
+    '.bashrc': 'bash', '.bash_profile': 'bash', '.zshrc': 'bash', '.profile': 'bash',
+    '.gitignore': 'ignore', '.dockerignore': 'ignore', '.npmignore': 'ignore',
+    '.hgignore': 'ignore', '.editorconfig': 'editorconfig', '.babelrc': 'json',
+    '.eslintrc': 'json', '.prettierrc': 'json', 'nginx.conf': 'nginx',
+  };
+
+  // Interpreters named in "#!" lines (version suffixes removed) -> Prism language ids
+  const SHEBANG_INTERPRETERS = {
+    'sh': 'bash', 'bash': 'bash', 'zsh': 'bash', 'dash': 'bash', 'ksh': 'bash', 'fish': 'bash',
+    'node': 'javascript', 'nodejs': 'javascript', 'deno': 'typescript', 'bun': 'javascript',
+    'ts-node': 'typescript', 'tsx': 'typescript', 'python': 'python', 'pypy': 'python',
+    'ruby': 'ruby', 'perl': 'perl', 'php': 'php', 'lua': 'lua', 'luajit': 'lua',
+    'rscript': 'r', 'julia': 'julia', 'elixir': 'elixir', 'escript': 'erlang',
+    'groovy': 'groovy', 'swift': 'swift', 'kotlin': 'kotlin', 'pwsh': 'powershell',
+    'make': 'makefile', 'awk': 'awk', 'gawk': 'awk', 'tclsh': 'tcl',
+  };
+
+  // Language names used by editors, shebangs and users -> Prism language ids
+  const LANGUAGE_ALIASES = {
+    'js': 'javascript', 'node': 'javascript', 'ts': 'typescript', 'py': 'python',
+    'python3': 'python', 'rb': 'ruby', 'sh': 'bash', 'shell': 'bash', 'shell-script': 'bash',
+    'zsh': 'bash', 'c++': 'cpp', 'objc': 'objectivec', 'objective-c': 'objectivec',
+    'cs': 'csharp', 'c#': 'csharp', 'f#': 'fsharp', 'html': 'markup', 'xml': 'markup',
+    'svg': 'markup', 'vue': 'markup', 'md': 'markdown', 'yml': 'yaml', 'rs': 'rust',
+    'golang': 'go', 'kt': 'kotlin', 'dockerfile': 'docker', 'make': 'makefile',
+    'terraform': 'hcl', 'tf': 'hcl', 'jinja': 'django', 'jinja2': 'django',
+    'ps1': 'powershell', 'emacs-lisp': 'lisp', 'elisp': 'lisp', 'tex': 'latex',
+    'proto': 'protobuf', 'text': 'plaintext', 'txt': 'plaintext', 'none': 'plaintext',
+    'gitignore': 'ignore', 'conf': 'ini', 'dosini': 'ini',
+  };
+
+  // Every language id detection can return, so user overrides can be validated
+  const LANGUAGE_IDS = new Set([
+    ...Object.values(LANGUAGE_EXTENSIONS),
+    ...Object.values(LANGUAGE_FILENAMES),
+    ...Object.values(SHEBANG_INTERPRETERS),
+    ...Object.values(LANGUAGE_ALIASES),
+  ]);
+
+  // Intra-line diffs per parsed file, one Map per granularity
+  const inlineDiffCache = new WeakMap();
+
+  // Whitespace-insensitive views per parsed file, one per set of options
+  const whitespaceCache = new WeakMap();
+
+  // Moved-code blocks per files array
+  const movedCodeCache = new WeakMap();
+
   /**
    * Parse a patch string and extract all information
    * @param {string} patchText - The raw patch text
+   * @param {Object} options - Options
+   * @param {Function} options.onFile - Called with (file, { parsed, total }) as each file is
+   *   parsed; total is an estimate until parsing ends
    * @returns {Object} Parsed patch data
    */
-  function parse(patchText) {
+  function parse(patchText, options = {}) {
     if (!patchText || typeof patchText !== 'string') {
       throw new Error('Invalid patch: empty or not a string');
     }
 
     const lines = patchText.split('\n');
+    const diagnostics = [];
+
+    let onFile = null;
+    if (options.onFile) {
+      const progress = { parsed: 0, total: estimateFileCount(lines) };
+      onFile = file => {
+        progress.parsed++;
+        progress.total = Math.max(progress.total, progress.parsed);
+        options.onFile(file, { ...progress });
+      };
+    }
+
+    // Split format-patch series into one entry per commit
+    const sections = splitCommits(lines).map((section, index) => {
+      // Emails sent as quoted-printable or base64 carry an encoded diff
+      const sectionLines = decodeEmailBody(section.lines);
+      const files = parseFiles(sectionLines, diagnostics, section.start, onFile && (file => {
+        file.commitIndex = index;
+        onFile(file);
+      }));
+      return { section, sectionLines, files };
+    });
+    const hasDiff = sections.some(entry => entry.files.length > 0);
+
+    const commits = sections.map(({ section, sectionLines, files }, index) => {
+      const metadata = extractMetadata(sectionLines);
+
+      // The diffstat is cross-checked against the diff, or stands in for it when the
+      // input has no diff at all (git diff --stat); a series' cover letter keeps its
+      // diffstat but adds no files
+      const diffstat = parseDiffstat(sectionLines, section.start);
+      if (diffstat && !hasDiff) {
+        files = createFilesFromDiffstat(diffstat);
+        metadata.sourceFormat = 'diffstat';
+      } else if (diffstat && files.length > 0) {
+        checkDiffstat(diffstat, files, diagnostics);
+      }
+
+      files.forEach(file => {
+        file.commitIndex = index;
+      });
+
+      const raw = section.lines.join('\n');
+      const text = sectionLines === section.lines ? raw : sectionLines.join('\n');
+
+      return {
+        index,
+        metadata,
+        files,
+        stats: calculateStats(files),
+        diffstat,
+        startLine: section.start,
+        raw,
+        // diff2html only understands git-style diffs with plain a/ b/ paths, so anything else is rewritten
+        diffText: needsRewrite(sectionLines, metadata.sourceFormat) ? buildUnifiedDiff(files) : text,
+      };
+    });
+
+    const files = [];
+    commits.forEach(commit => files.push(...commit.files));
+
     const result = {
-      metadata: extractMetadata(lines),
-      files: [],
-      stats: {
-        filesChanged: 0,
-        additions: 0,
-        deletions: 0,
-      },
+      metadata: commits[0].metadata,
+      files,
+      commits,
+      stats: calculateStats(files),
       raw: patchText,
+      diffText: commits.map(commit => commit.diffText).join('\n'),
+      diagnostics,
     };
 
-    // Parse files
-    result.files = parseFiles(lines);
-    
-    // Calculate statistics
-    result.stats = calculateStats(result.files);
+    if (files.length === 0) {
+      diagnostics.push({ line: 1, severity: 'error', message: 'No file changes could be found in this patch', filePath: null });
+    }
+
+    // Series-level totals
+    result.stats.commits = commits.length;
 
     return result;
   }
 
+  /**
+   * Estimate how many files a patch changes without parsing it
+   * @param {Array<string>} lines - Patch lines
+   * @returns {number} Number of file headers, or of ---/+++ pairs for plain diffs
+   */
+  function estimateFileCount(lines) {
+    let headers = 0;
+    let pairs = 0;
+    lines.forEach((line, i) => {
+      if (FILE_HEADER.test(line)) headers++;
+      if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ')) pairs++;
+    });
+    return headers || pairs;
+  }
+
+  /**
+   * Split a `git format-patch --stdout` mbox or `git log -p` output into per-commit sections
+   * Text without `From <sha>` or `commit <sha>` separators is returned as a single section
+   * @param {Array<string>} lines - Patch lines
+   * @returns {Array<Object>} Sections with { start, lines }
+   */
+  function splitCommits(lines) {
+    let starts = [];
+
+    lines.forEach((line, i) => {
+      if (MBOX_SEPARATOR.test(line)) {
+        starts.push(i);
+      }
+    });
+
+    // Only look for log headers outside mboxes, where commit messages aren't indented
+    if (starts.length === 0) {
+      starts = lines.reduce((found, line, i) => (LOG_COMMIT_HEADER.test(line) ? found.concat(i) : found), []);
+    }
+
+    if (starts.length <= 1) {
+      return [{ start: 0, lines }];
+    }
+
+    // Anything before the first separator belongs to the first commit
+    starts[0] = 0;
+
+    return starts.map((start, i) => {
+      const end = i + 1 < starts.length ? starts[i + 1] : lines.length;
+      return { start, lines: lines.slice(start, end) };
+    });
+  }
+
   /**
    * Extract git metadata from patch headers
+   * Email patches (git format-patch) have their RFC 2822 headers decoded
    * @param {Array<string>} lines - Patch lines
    * @returns {Object} Metadata object
    */
@@ -47,262 +312,2938 @@ const PatchParser = (() => {
       authorEmail: null,
       date: null,
       message: '',
+      subject: null,
+      subjectPrefix: null,
+      body: '',
+      trailers: [],
       refs: [],
+      parents: [],
+      sourceFormat: detectSourceFormat(lines),
     };
 
-    let inMessage = false;
-    let messageLines = [];
-
-    for (let i = 0; i < Math.min(lines.length, 50); i++) {
-      const line = lines[i];
+    const email = parseEmailHeaders(lines);
+    const log = email.end === -1 ? parseLogHeader(lines) : null;
+    let bodyLines = [];
 
-      // Commit hash from format-patch
-      if (line.startsWith('From ')) {
-        const match = line.match(/^From ([0-9a-f]{40})/);
-        if (match) {
-          metadata.commitHash = match[1];
-        }
+    // git log -p / git show: headers, then the message indented by four spaces
+    if (log) {
+      metadata.commitHash = log.hash;
+      metadata.refs = log.decorations;
+      metadata.parents = log.parents;
+      if (log.headers.author) {
+        const address = parseAddress(log.headers.author);
+        metadata.author = address.name;
+        metadata.authorEmail = address.email;
       }
+      metadata.date = log.headers.date || log.headers.authordate || null;
 
-      // Author
-      if (line.startsWith('From: ')) {
-        const match = line.match(/^From: (.+?) <(.+?)>/);
-        if (match) {
-          metadata.author = match[1];
-          metadata.authorEmail = match[2];
-        } else {
-          metadata.author = line.substring(6).trim();
-        }
-      }
+      // Like git's %s, the subject is the first paragraph on one line
+      const paragraphEnd = log.messageLines.findIndex(line => line.trim() === '');
+      const subjectLines = paragraphEnd === -1 ? log.messageLines : log.messageLines.slice(0, paragraphEnd);
+      metadata.subject = subjectLines.map(line => line.trim()).join(' ') || null;
+      bodyLines = paragraphEnd === -1 ? [] : log.messageLines.slice(paragraphEnd + 1);
+    }
 
-      // Date
-      if (line.startsWith('Date: ')) {
-        metadata.date = line.substring(6).trim();
-      }
+    if (email.separator !== -1) {
+      metadata.commitHash = lines[email.separator].match(/^From ([0-9a-f]{40})/)[1];
+    }
 
-      // Subject/Message start
-      if (line.startsWith('Subject: ')) {
-        inMessage = true;
-        messageLines.push(line.substring(9).trim());
-        continue;
-      }
+    // In-body From:/Date:/Subject: lines override the email headers, as with git am
+    let bodyStart = -1;
+    if (email.end !== -1) {
+      const hasInBodyHeaders = /^(From|Date|Subject): /.test(lines[email.end + 1] || '');
+      const inBody = hasInBodyHeaders ? parseHeaderBlock(lines, email.end + 1) : { headers: {}, end: -1 };
+      ['from', 'date', 'subject'].forEach(name => {
+        if (inBody.headers[name]) email.headers[name] = inBody.headers[name];
+      });
+      bodyStart = inBody.end !== -1 ? inBody.end + 1 : email.end + 1;
+    }
 
-      // Continue message
-      if (inMessage) {
-        if (line.trim() === '' || line.startsWith('---')) {
-          inMessage = false;
-        } else {
-          messageLines.push(line.trim());
-        }
-      }
+    // Author
+    if (email.headers.from) {
+      const address = parseAddress(email.headers.from);
+      metadata.author = address.name;
+      metadata.authorEmail = address.email;
+    }
+
+    // Date
+    if (email.headers.date) {
+      metadata.date = email.headers.date;
+    }
+
+    // Subject, without its [PATCH v2 1/3] prefix
+    if (email.headers.subject) {
+      const subject = parseSubject(email.headers.subject);
+      metadata.subject = subject.subject;
+      metadata.subjectPrefix = subject.prefix;
+    }
+
+    // Body and trailers
+    if (bodyStart !== -1) {
+      bodyLines = extractBodyLines(lines, bodyStart);
+    }
+    while (bodyLines.length > 0 && bodyLines[0].trim() === '') bodyLines.shift();
+    const parsed = parseTrailers(bodyLines);
+    metadata.body = parsed.body.join('\n');
+    metadata.trailers = parsed.trailers;
+
+    // Full commit message: subject, body and trailers
+    metadata.message = [metadata.subject, bodyLines.join('\n')].filter(Boolean).join('\n\n');
 
-      // Refs (branches, tags)
-      if (line.match(/^\s*\(.*\)$/)) {
-        const refs = line.match(/\(([^)]+)\)/);
+    // Refs (branches, tags) written on a line of their own
+    for (let i = 0; i < Math.min(lines.length, 50) && metadata.refs.length === 0; i++) {
+      if (lines[i].match(/^\s*\(.*\)$/)) {
+        const refs = lines[i].match(/\(([^)]+)\)/);
         if (refs) {
           metadata.refs = refs[1].split(',').map(r => r.trim());
         }
       }
     }
 
-    metadata.message = messageLines.join(' ').trim();
-
     return metadata;
   }
 
   /**
-   * Parse files from the patch
-   * @param {Array<string>} lines - Patch lines
-   * @returns {Array<Object>} Array of file objects
+   * Parse the header of a commit in `git log -p` / `git show` output
+   * @param {Array<string>} lines - Lines of one commit
+   * @returns {Object|null} { hash, decorations, parents, headers, messageLines } or null if
+   *   there is no "commit <sha>" line; headers are keyed by lower-case name (author, date, ...)
    */
-  function parseFiles(lines) {
-    const files = [];
-    let currentFile = null;
-    let currentHunk = null;
-    let i = 0;
+  function parseLogHeader(lines) {
+    const start = lines.slice(0, 50).findIndex(line => LOG_COMMIT_HEADER.test(line));
+    if (start === -1) return null;
 
-    while (i < lines.length) {
-      const line = lines[i];
+    const match = lines[start].match(LOG_COMMIT_HEADER);
+    const result = {
+      hash: match[1],
+      // (HEAD -> main, tag: v1.2, origin/main)
+      decorations: match[2] ? match[2].split(',').map(ref => ref.trim()).filter(Boolean) : [],
+      parents: [],
+      headers: {},
+      messageLines: [],
+    };
 
-      // File header (diff --git)
-      if (line.startsWith('diff --git ')) {
-        // Save previous file
-        if (currentFile) {
-          if (currentHunk) {
-            currentFile.hunks.push(currentHunk);
-            currentHunk = null;
-          }
-          files.push(currentFile);
-        }
+    let i = start + 1;
+    for (; i < lines.length && lines[i].trim() !== ''; i++) {
+      const header = lines[i].match(/^([A-Za-z]+):\s+(.*)$/);
+      if (!header) break;
+      result.headers[header[1].toLowerCase()] = header[2].trim();
+    }
 
-        // Start new file
-        const match = line.match(/diff --git a\/(.+?) b\/(.+)/);
-        if (match) {
-          currentFile = {
-            oldPath: match[1],
-            newPath: match[2],
-            type: 'modified',
-            hunks: [],
-            additions: 0,
-            deletions: 0,
-            isBinary: false,
-          };
-        }
+    if (result.headers.merge) {
+      result.parents = result.headers.merge.split(/\s+/);
+    }
+
+    // The message is indented by four spaces and ends at the first unindented line
+    if (i < lines.length && lines[i].trim() === '') i++;
+    for (; i < lines.length; i++) {
+      const line = lines[i];
+      if (line.startsWith('    ')) {
+        result.messageLines.push(line.substring(4));
+      } else if (line.trim() === '') {
+        result.messageLines.push('');
+      } else {
+        break;
       }
+    }
 
-      // New file mode
-      if (line.startsWith('new file mode') && currentFile) {
-        currentFile.type = 'added';
-        currentFile.oldPath = '/dev/null';
+    while (result.messageLines.length > 0 && result.messageLines[result.messageLines.length - 1] === '') {
+      result.messageLines.pop();
+    }
+    return result;
+  }
+
+  /**
+   * Read the commit message body of an email patch: everything after the
+   * headers up to the "---" line that starts the diffstat
+   * @param {Array<string>} lines - Patch lines
+   * @param {number} start - Index of the first body line
+   * @returns {Array<string>} Body lines without leading/trailing blank lines
+   */
+  function extractBodyLines(lines, start) {
+    const body = [];
+    for (let i = start; i < lines.length; i++) {
+      const line = lines[i].replace(/\r$/, '');
+      if (line === '---' || line.startsWith('diff --git ') || /^(Index: |--- |diff -r )/.test(line)) break;
+      body.push(line);
+    }
+
+    while (body.length > 0 && body[0].trim() === '') body.shift();
+    while (body.length > 0 && body[body.length - 1].trim() === '') body.pop();
+    return body;
+  }
+
+  /**
+   * Split trailers (Signed-off-by:, Fixes:, ...) off the end of a commit body
+   * Trailers are the last paragraph when every line in it is a "Token: value" line
+   * @param {Array<string>} body - Body lines
+   * @returns {Object} { body, trailers } - body lines without the trailer block and
+   *   trailers as { key, value } (plus name/email for people, commit/subject for Fixes)
+   */
+  function parseTrailers(body) {
+    let start = body.length;
+    while (start > 0 && body[start - 1].trim() !== '') start--;
+
+    const block = body.slice(start);
+    const isTrailerBlock = block.length > 0 && /^[A-Za-z][A-Za-z0-9-]*: /.test(block[0]) &&
+      block.every(line => /^[A-Za-z][A-Za-z0-9-]*: /.test(line) || /^\s+\S/.test(line));
+    if (!isTrailerBlock) {
+      return { body, trailers: [] };
+    }
+
+    const trailers = [];
+    block.forEach(line => {
+      if (/^\s/.test(line)) {
+        // Folded trailer value
+        trailers[trailers.length - 1].value += ' ' + line.trim();
+        return;
       }
+      const match = line.match(/^([A-Za-z][A-Za-z0-9-]*):\s*(.*)$/);
+      trailers.push({ key: match[1], value: match[2].trim() });
+    });
 
-      // Deleted file mode
-      if (line.startsWith('deleted file mode') && currentFile) {
-        currentFile.type = 'deleted';
-        currentFile.newPath = '/dev/null';
+    trailers.forEach(trailer => {
+      if (PERSON_TRAILERS.includes(trailer.key.toLowerCase())) {
+        const address = parseAddress(trailer.value);
+        trailer.name = address.name;
+        trailer.email = address.email;
+      }
+      if (trailer.key.toLowerCase() === 'fixes') {
+        const fixes = trailer.value.match(/^([0-9a-f]{7,40})\s*(?:\("?(.*?)"?\))?$/i);
+        if (fixes) {
+          trailer.commit = fixes[1];
+          trailer.subject = fixes[2] || null;
+        }
       }
+    });
 
-      // Renamed file
-      if (line.startsWith('rename from') && currentFile) {
-        currentFile.type = 'renamed';
+    let end = start;
+    while (end > 0 && body[end - 1].trim() === '') end--;
+    return { body: body.slice(0, end), trailers };
+  }
+
+  /**
+   * Find and decode the email header block of a format-patch message
+   * Folded (multi-line) headers are unfolded and MIME encoded-words decoded.
+   * @param {Array<string>} lines - Patch lines
+   * @returns {Object} { headers, separator, end } - headers keyed by lower-case name,
+   *   separator is the index of the mbox "From <sha>" line (-1 if none), end the index of
+   *   the blank line after the headers (-1 if there is no header block)
+   */
+  function parseEmailHeaders(lines) {
+    const separator = lines.slice(0, 50).findIndex(line => MBOX_SEPARATOR.test(line));
+    const block = parseHeaderBlock(lines, separator !== -1 ? separator + 1 : 0);
+    return { headers: block.headers, separator, end: block.end };
+  }
+
+  /**
+   * Read "Name: value" header lines starting at a line, up to the next blank line
+   * @param {Array<string>} lines - Patch lines
+   * @param {number} start - Index of the first header line
+   * @returns {Object} { headers, end } - end is -1 if there is no header at start
+   */
+  function parseHeaderBlock(lines, start) {
+    const headers = {};
+
+    if (!/^[A-Za-z][A-Za-z0-9-]*: /.test(lines[start] || '')) {
+      return { headers, end: -1 };
+    }
+
+    let name = null;
+    let i = start;
+    for (; i < lines.length; i++) {
+      const line = lines[i].replace(/\r$/, '');
+      if (line === '') break;
+
+      if (/^[ \t]/.test(line) && name) {
+        // Continuation of a folded header
+        headers[name] += line;
+        continue;
       }
 
-      // Binary files
-      if (line.match(/^Binary files .* differ/) && currentFile) {
-        currentFile.isBinary = true;
+      const match = line.match(/^([A-Za-z][A-Za-z0-9-]*):[ \t]?(.*)$/);
+      if (!match) break;
+
+      name = match[1].toLowerCase();
+      // Keep the first occurrence (e.g. format-patch's own From: over an in-body one)
+      if (name in headers) {
+        name = null;
+      } else {
+        headers[name] = match[2];
       }
+    }
 
-      // Hunk header (@@ -X,Y +A,B @@)
-      if (line.startsWith('@@') && currentFile) {
-        // Save previous hunk
-        if (currentHunk) {
-          currentFile.hunks.push(currentHunk);
-        }
+    Object.keys(headers).forEach(key => {
+      headers[key] = decodeMimeWords(headers[key].trim());
+    });
 
-        // Parse hunk header
-        const match = line.match(/@@ -(\d+),?(\d*) \+(\d+),?(\d*) @@(.*)/);
-        if (match) {
-          currentHunk = {
-            oldStart: parseInt(match[1]),
-            oldLines: match[2] ? parseInt(match[2]) : 1,
-            newStart: parseInt(match[3]),
-            newLines: match[4] ? parseInt(match[4]) : 1,
-            heading: match[5].trim(),
-            lines: [],
-          };
-        }
+    return { headers, end: i };
+  }
+
+  /**
+   * Decode RFC 2047 encoded-words (=?UTF-8?q?J=C3=B6rg?=, =?utf-8?b?...?=)
+   * @param {string} text - Header value
+   * @returns {string} Decoded text
+   */
+  function decodeMimeWords(text) {
+    // Whitespace between two encoded-words is not part of the text
+    const joined = text.replace(/(\?=)\s+(?==\?)/g, '$1');
+
+    return joined.replace(/=\?([^?]+)\?([QqBb])\?([^?]*)\?=/g, (match, charset, encoding, encoded) => {
+      try {
+        const bytes = encoding.toUpperCase() === 'B'
+          ? decodeBase64(encoded)
+          : decodeQuotedPrintable(encoded.replace(/_/g, ' '));
+        return decodeBytes(bytes, charset.split('*')[0]);
+      } catch (error) {
+        return match;
       }
+    });
+  }
 
-      // Hunk content lines
-      if (currentHunk && currentFile && !currentFile.isBinary) {
-        if (line.startsWith('+') && !line.startsWith('+++')) {
-          currentHunk.lines.push({ type: 'add', content: line.substring(1) });
-          currentFile.additions++;
-        } else if (line.startsWith('-') && !line.startsWith('---')) {
-          currentHunk.lines.push({ type: 'del', content: line.substring(1) });
-          currentFile.deletions++;
-        } else if (line.startsWith(' ') && currentHunk.lines.length > 0) {
-          currentHunk.lines.push({ type: 'context', content: line.substring(1) });
+  /**
+   * Split a "Name <email>" address
+   * @param {string} value - Decoded From header
+   * @returns {Object} { name, email }
+   */
+  function parseAddress(value) {
+    const match = value.match(/^(.*?)\s*<([^>]+)>\s*$/);
+    if (!match) {
+      return { name: value, email: null };
+    }
+
+    let name = match[1].trim();
+    if (/^".*"$/.test(name)) {
+      name = name.slice(1, -1).replace(/\\(.)/g, '$1');
+    }
+    return { name: name || match[2], email: match[2] };
+  }
+
+  /**
+   * Split the bracketed prefix off a patch subject
+   * "[RFC PATCH v3 2/7] net: fix foo" gives version 3, index 2, total 7 and rfc
+   * @param {string} subject - Decoded subject
+   * @returns {Object} { subject, prefix } - prefix is null when there is none, otherwise
+   *   { raw, version, index, total, rfc, resend, tags }
+   */
+  function parseSubject(subject) {
+    const prefix = { raw: '', version: null, index: null, total: null, rfc: false, resend: false, tags: [] };
+    let rest = subject.trim();
+    let match;
+
+    while ((match = rest.match(/^\[([^\]]*)\]\s*/))) {
+      prefix.raw += `[${match[1]}]`;
+
+      match[1].split(/\s+/).filter(Boolean).forEach(token => {
+        const series = token.match(/^(\d+)\/(\d+)$/);
+        if (/^v\d+$/i.test(token)) {
+          prefix.version = parseInt(token.substring(1));
+        } else if (series) {
+          prefix.index = parseInt(series[1]);
+          prefix.total = parseInt(series[2]);
+        } else if (/^rfc$/i.test(token)) {
+          prefix.rfc = true;
+        } else if (/^resend$/i.test(token)) {
+          prefix.resend = true;
+        } else if (!/^patch$/i.test(token)) {
+          prefix.tags.push(token);
         }
-      }
+      });
 
-      i++;
+      rest = rest.substring(match[0].length);
     }
 
-    // Save last file
-    if (currentFile) {
-      if (currentHunk) {
-        currentFile.hunks.push(currentHunk);
+    return { subject: rest, prefix: prefix.raw ? prefix : null };
+  }
+
+  /**
+   * Decode a quoted-printable or base64 email body (Content-Transfer-Encoding)
+   * so the diff inside it can be parsed
+   * @param {Array<string>} lines - Patch lines of one message
+   * @returns {Array<string>} Lines with the body decoded (unchanged if it wasn't encoded)
+   */
+  function decodeEmailBody(lines) {
+    const email = parseEmailHeaders(lines);
+    const encoding = (email.headers['content-transfer-encoding'] || '').trim().toLowerCase();
+    if (email.end === -1 || (encoding !== 'quoted-printable' && encoding !== 'base64')) {
+      return lines;
+    }
+
+    const charset = ((email.headers['content-type'] || '').match(/charset="?([^";\s]+)/i) || [])[1] || 'utf-8';
+    const body = lines.slice(email.end + 1).join('\n');
+
+    try {
+      const bytes = encoding === 'base64'
+        ? decodeBase64(body)
+        : decodeQuotedPrintable(body.replace(/=\r?\n/g, ''));
+      return lines.slice(0, email.end + 1).concat(decodeBytes(bytes, charset).split('\n'));
+    } catch (error) {
+      console.error('Failed to decode email body:', error);
+      return lines;
+    }
+  }
+
+  /**
+   * Decode quoted-printable text (=XX escapes) to bytes
+   * @param {string} text - Encoded text without soft line breaks
+   * @returns {Uint8Array} Bytes
+   */
+  function decodeQuotedPrintable(text) {
+    const encoder = new TextEncoder();
+    const bytes = [];
+
+    for (let i = 0; i < text.length; i++) {
+      const hex = text[i] === '=' ? text.substring(i + 1, i + 3) : '';
+      if (/^[0-9A-Fa-f]{2}$/.test(hex)) {
+        bytes.push(parseInt(hex, 16));
+        i += 2;
+      } else {
+        bytes.push(...encoder.encode(text[i]));
       }
-      files.push(currentFile);
     }
 
-    return files;
+    return new Uint8Array(bytes);
   }
 
   /**
-   * Calculate overall statistics
-   * @param {Array<Object>} files - Parsed files
-   * @returns {Object} Statistics object
+   * Decode base64 text to bytes
+   * @param {string} text - Encoded text (whitespace is ignored)
+   * @returns {Uint8Array} Bytes
    */
-  function calculateStats(files) {
-    const stats = {
-      filesChanged: files.length,
+  function decodeBase64(text) {
+    const binary = atob(text.replace(/\s+/g, ''));
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+      bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+  }
+
+  /**
+   * Decode bytes in a charset, falling back to UTF-8 for unknown charsets
+   * @param {Uint8Array} bytes - Encoded bytes
+   * @param {string} charset - Charset name from the message
+   * @returns {string} Text
+   */
+  function decodeBytes(bytes, charset) {
+    try {
+      return new TextDecoder(charset).decode(bytes);
+    } catch (error) {
+      return new TextDecoder().decode(bytes);
+    }
+  }
+
+  /**
+   * Detect which tool produced a diff
+   * @param {Array<string>} lines - Patch lines
+   * @returns {string} 'git', 'hg', 'svn', 'perforce', 'context' (diff -c) or 'unified' (plain diff -u)
+   */
+  function detectSourceFormat(lines) {
+    if (lines.some(line => /^diff --(git|cc|combined) /.test(line) || LOG_COMMIT_HEADER.test(line))) return 'git';
+    if (lines.some(line => line.startsWith('# HG changeset patch') || HG_DIFF_HEADER.test(line))) return 'hg';
+    if (lines.some((line, i) => SVN_INDEX_HEADER.test(line) && /^=+$/.test(lines[i + 1] || ''))) return 'svn';
+    if (lines.some(line => PERFORCE_HEADER.test(line))) return 'perforce';
+    if (lines.some((line, i) => line.startsWith('*** ') && CONTEXT_HUNK_SEPARATOR.test(lines[i + 2] || ''))) return 'context';
+    return 'unified';
+  }
+
+  /**
+   * Create an empty file entry
+   * @param {string} oldPath - Path before the change
+   * @param {string} newPath - Path after the change
+   * @returns {Object} File object
+   */
+  function createFile(oldPath, newPath) {
+    return {
+      oldPath,
+      newPath,
+      type: 'modified',
+      hunks: [],
       additions: 0,
       deletions: 0,
+      isBinary: false,
+      isCopy: false,
+      similarity: null,
+      dissimilarity: null,
+      oldMode: null,
+      newMode: null,
+      oldBlob: null,
+      newBlob: null,
     };
-
-    files.forEach(file => {
-      stats.additions += file.additions;
-      stats.deletions += file.deletions;
-    });
-
-    return stats;
   }
 
   /**
-   * Get file extension
-   * @param {string} filePath - File path
-   * @returns {string} File extension
+   * Work out whether a file from a non-git diff was added or deleted
+   * These formats have no "new file mode" lines, only /dev/null paths or empty ranges
+   * @param {Object} file - File object
    */
-  function getFileExtension(filePath) {
-    const match = filePath.match(/\.([^.]+)$/);
-    return match ? match[1] : '';
+  function inferFileType(file) {
+    const onlyHunk = file.hunks.length === 1 ? file.hunks[0] : null;
+
+    if (file.oldPath === '/dev/null' || (onlyHunk && onlyHunk.oldStart === 0 && onlyHunk.oldLines === 0)) {
+      file.type = 'added';
+      file.oldPath = '/dev/null';
+    } else if (file.newPath === '/dev/null' || (onlyHunk && onlyHunk.newStart === 0 && onlyHunk.newLines === 0)) {
+      file.type = 'deleted';
+      file.newPath = '/dev/null';
+    }
   }
 
   /**
-   * Detect programming language from file path
-   * @param {string} filePath - File path
-   * @returns {string} Language identifier for syntax highlighting
+   * Parse files from the patch
+   * Malformed input is parsed as far as possible; problems are added to diagnostics
+   * @param {Array<string>} lines - Patch lines
+   * @param {Array<Object>} diagnostics - Receives { line, severity, message, filePath } entries
+   * @param {number} lineOffset - Index of the first line in the whole patch (for line numbers)
+   * @param {Function|null} onFile - Called with each file once it is complete
+   * @returns {Array<Object>} Array of file objects
    */
-  function detectLanguage(filePath) {
-    const ext = getFileExtension(filePath).toLowerCase();
-    
-    const languageMap = {
-      'js': 'javascript',
-      'jsx': 'jsx',
-      'ts': 'typescript',
-      'tsx': 'tsx',
-      'py': 'python',
-      'java': 'java',
-      'go': 'go',
-      'rs': 'rust',
-      'c': 'c',
-      'cpp': 'cpp',
-      'cc': 'cpp',
-      'cxx': 'cpp',
-      'h': 'c',
-      'hpp': 'cpp',
-      'cs': 'csharp',
-      'php': 'php',
-      'rb': 'ruby',
-      'css': 'css',
-      'scss': 'scss',
-      'sass': 'sass',
-      'less': 'less',
-      'html': 'markup',
-      'xml': 'markup',
-      'svg': 'markup',
-      'md': 'markdown',
-      'json': 'json',
-      'yaml': 'yaml',
-      'yml': 'yaml',
-      'toml': 'toml',
-      'sh': 'bash',
-      'bash': 'bash',
-      'zsh': 'bash',
-      'sql': 'sql',
-      'dockerfile': 'docker',
-      'makefile': 'makefile',
+  function parseFiles(lines, diagnostics = [], lineOffset = 0, onFile = null) {
+    const files = [];
+    let currentFile = null;
+    let currentHunk = null;
+    let combinedCounters = null;
+    let hunkCounters = null;
+    let fileFormat = null;
+    let pathPrefixes = null;
+    let headerPaths = null;
+    let fileLines = null;
+    let ignoreRest = false;
+    let i = 0;
+
+    // Record a problem at a line of this section
+    const report = (index, severity, message) => {
+      const filePath = currentFile ? (currentFile.newPath !== '/dev/null' ? currentFile.newPath : currentFile.oldPath) : null;
+      diagnostics.push({ line: lineOffset + index + 1, severity, message, filePath });
     };
 
-    // Check by filename for special cases
-    const filename = filePath.split('/').pop().toLowerCase();
-    if (filename === 'dockerfile') return 'docker';
-    if (filename === 'makefile') return 'makefile';
-    if (filename === '.gitignore') return 'git';
+    // A hunk must contain as many lines as its header announced
+    const checkHunkLength = () => {
+      if (!currentHunk || currentFile.isCombined || !hunkCounters) return;
+
+      const missingOld = hunkCounters.oldRemaining;
+      const missingNew = hunkCounters.newRemaining;
+      if (missingOld <= 0 && missingNew <= 0) return;
+
+      const missing = Math.max(missingOld, missingNew);
+      if (i >= lines.length) {
+        report(hunkCounters.headerIndex, 'error', `Patch is truncated: this hunk is missing ${missing} line(s)`);
+      } else {
+        report(hunkCounters.headerIndex, 'error',
+          `Hunk is shorter than its header says: expected ${currentHunk.oldLines} old / ${currentHunk.newLines} new lines, ` +
+          `found ${currentHunk.oldLines - missingOld} / ${currentHunk.newLines - missingNew}`);
+      }
+    };
 
-    return languageMap[ext] || 'plaintext';
+    // Save the file in progress (and its open hunk)
+    const finishFile = () => {
+      if (currentFile) {
+        if (currentHunk) {
+          checkHunkLength();
+          currentFile.hunks.push(currentHunk);
+        }
+        if (fileFormat !== 'git') {
+          inferFileType(currentFile);
+        }
+        classifySpecialFile(currentFile);
+        if (fileLines && fileLines.old !== null && currentFile.hunks.length === 0 && !currentFile.isBinary) {
+          report(fileLines.old, 'error', 'File ends before its first hunk (the patch may be truncated)');
+        }
+        // Lines the file came from, so serialize() can copy it unchanged
+        currentFile.sourceEnd = i;
+        files.push(currentFile);
+        if (onFile) onFile(currentFile);
+      }
+      currentFile = null;
+      currentHunk = null;
+      hunkCounters = null;
+    };
+
+    const startFile = (file, format) => {
+      finishFile();
+      currentFile = file;
+      currentFile.sourceStart = i;
+      fileFormat = format;
+      pathPrefixes = null;
+      headerPaths = null;
+      fileLines = { old: null, new: null };
+      ignoreRest = false;
+    };
+
+    while (i < lines.length) {
+      const line = lines[i];
+
+      // File header (diff --git)
+      if (line.startsWith('diff --git ')) {
+        // Start new file (an unsplittable header is refined by the ---/+++ lines)
+        const rest = line.substring('diff --git '.length);
+        const parsedPaths = parseGitHeaderPaths(rest);
+        const paths = parsedPaths || { oldPath: rest, newPath: rest, oldPrefix: 'a/', newPrefix: 'b/' };
+        startFile(createFile(paths.oldPath, paths.newPath), 'git');
+        pathPrefixes = { old: paths.oldPrefix, new: paths.newPrefix };
+        headerPaths = parsedPaths;
+        if (!parsedPaths) {
+          report(i, 'warning', 'Could not split the file names in this diff --git header');
+        }
+      }
+
+      // Subversion: "Index: path" followed by a ==== separator
+      const svnMatch = line.match(SVN_INDEX_HEADER);
+      if (svnMatch && /^=+$/.test(lines[i + 1] || '')) {
+        startFile(createFile(svnMatch[1], svnMatch[1]), 'svn');
+        i += 2;
+        continue;
+      }
+
+      // Mercurial: "diff -r <rev> [-r <rev>] path"
+      const hgMatch = line.match(HG_DIFF_HEADER);
+      if (hgMatch) {
+        startFile(createFile(hgMatch[1], hgMatch[1]), 'hg');
+        i++;
+        continue;
+      }
+
+      // Perforce: "==== //depot/path#rev - /local/path ====" or "==== //depot/path#rev (type) ===="
+      const perforceMatch = line.match(PERFORCE_HEADER);
+      if (perforceMatch) {
+        startFile(createFile(perforceMatch[1], perforceMatch[1]), 'perforce');
+        currentFile.isBinary = /\(\S*binary\S*\)/.test(line);
+        i++;
+        continue;
+      }
+
+      // Plain unified diff: a ---/+++ pair that doesn't belong to a header above
+      const inOpenHunk = currentHunk && !currentFile.isCombined &&
+        (hunkCounters.oldRemaining > 0 || hunkCounters.newRemaining > 0);
+      const awaitingPaths = currentFile && !currentHunk;
+      // (inside a hunk that is too short, a following @@ line still gives it away)
+      const startsNewFile = !inOpenHunk || /^@@ /.test(lines[i + 2] || '');
+      if (line.startsWith('--- ') && (lines[i + 1] || '').startsWith('+++ ') && startsNewFile && !awaitingPaths) {
+        const oldPath = parseFileLinePath(line.substring(4));
+        const newPath = parseFileLinePath(lines[i + 1].substring(4));
+        startFile(createFile(oldPath, newPath), 'unified');
+        fileLines = { old: i, new: i + 1 };
+        i += 2;
+        continue;
+      }
+
+      // Context diff (diff -c): "*** old" / "--- new" followed by a hunk separator
+      if (line.startsWith('*** ') && (lines[i + 1] || '').startsWith('--- ') &&
+          CONTEXT_HUNK_SEPARATOR.test(lines[i + 2] || '') && !inOpenHunk) {
+        const oldPath = parseFileLinePath(line.substring(4));
+        const newPath = parseFileLinePath(lines[i + 1].substring(4));
+        startFile(createFile(oldPath, newPath), 'context');
+        i += 2;
+        continue;
+      }
+
+      // Context diff hunks are converted to unified hunks as a whole
+      const separatorMatch = line.match(CONTEXT_HUNK_SEPARATOR);
+      if (separatorMatch && currentFile && fileFormat === 'context') {
+        const context = parseContextHunk(lines, i + 1, separatorMatch[1]);
+        if (!context.hunk) {
+          report(i + 1, 'error', 'Malformed context diff hunk');
+        } else {
+          currentFile.hunks.push(context.hunk);
+          context.hunk.lines.forEach(hunkLine => {
+            if (hunkLine.type === 'add') currentFile.additions++;
+            if (hunkLine.type === 'del') currentFile.deletions++;
+          });
+        }
+        i = Math.max(context.end, i + 1);
+        continue;
+      }
+
+      // Combined diff header (diff --cc / diff --combined) from merge commits
+      if (line.startsWith('diff --cc ') || line.startsWith('diff --combined ')) {
+        const path = unquotePath(line.replace(/^diff --(cc|combined) /, ''));
+        startFile(createFile(path, path), 'git');
+        currentFile.isCombined = true;
+        currentFile.parentCount = 2;
+      }
+
+      // Combined diff index line (index a,b..c) tells us the number of parents
+      if (line.startsWith('index ') && currentFile && currentFile.isCombined) {
+        const match = line.match(/^index ([0-9a-f,]+)\.\./);
+        if (match) {
+          currentFile.parentCount = match[1].split(',').length;
+        }
+      }
+
+      // Blob IDs the diff was made between (index abc123..def456 100644)
+      if (line.startsWith('index ') && currentFile && !currentFile.isCombined && !currentHunk) {
+        const match = line.match(/^index ([0-9a-f]+)\.\.([0-9a-f]+)(?: (\d{6}))?$/);
+        if (match) {
+          currentFile.oldBlob = match[1];
+          currentFile.newBlob = match[2];
+          // The mode is only given here when it didn't change
+          if (match[3] && !currentFile.oldMode && !currentFile.newMode) {
+            currentFile.oldMode = match[3];
+            currentFile.newMode = match[3];
+          }
+        }
+      }
+
+      // New file mode
+      if (line.startsWith('new file mode') && currentFile) {
+        currentFile.type = 'added';
+        currentFile.oldPath = '/dev/null';
+        currentFile.newMode = line.substring('new file mode '.length).trim();
+      }
+
+      // Deleted file mode
+      if (line.startsWith('deleted file mode') && currentFile) {
+        currentFile.type = 'deleted';
+        currentFile.newPath = '/dev/null';
+        currentFile.oldMode = line.substring('deleted file mode '.length).trim();
+      }
+
+      // Permission changes (old mode / new mode)
+      if (line.startsWith('old mode ') && currentFile && !currentHunk) {
+        currentFile.oldMode = line.substring('old mode '.length).trim();
+      }
+      if (line.startsWith('new mode ') && currentFile && !currentHunk) {
+        currentFile.newMode = line.substring('new mode '.length).trim();
+      }
+
+      // Similarity of renamed/copied files
+      if (line.startsWith('similarity index ') && currentFile && !currentHunk) {
+        currentFile.similarity = parseInt(line.substring('similarity index '.length));
+      }
+      if (line.startsWith('dissimilarity index ') && currentFile && !currentHunk) {
+        currentFile.dissimilarity = parseInt(line.substring('dissimilarity index '.length));
+      }
+
+      // Renamed file
+      if (line.startsWith('rename from ') && currentFile && !currentHunk) {
+        currentFile.type = 'renamed';
+        currentFile.oldPath = unquotePath(line.substring('rename from '.length));
+      }
+      if (line.startsWith('rename to ') && currentFile && !currentHunk) {
+        currentFile.type = 'renamed';
+        currentFile.newPath = unquotePath(line.substring('rename to '.length));
+      }
+
+      // Copied file
+      if (line.startsWith('copy from ') && currentFile && !currentHunk) {
+        currentFile.type = 'copied';
+        currentFile.isCopy = true;
+        currentFile.oldPath = unquotePath(line.substring('copy from '.length));
+      }
+      if (line.startsWith('copy to ') && currentFile && !currentHunk) {
+        currentFile.type = 'copied';
+        currentFile.isCopy = true;
+        currentFile.newPath = unquotePath(line.substring('copy to '.length));
+      }
+
+      // File paths from ---/+++ lines are unambiguous, unlike the diff --git header
+      // (rename/copy lines already named both sides; Perforce headers name the depot
+      // file while its ---/+++ lines point into the local workspace)
+      if ((line.startsWith('--- ') || line.startsWith('+++ ')) && currentFile && !currentHunk &&
+          !currentFile.isCombined && fileFormat !== 'perforce' &&
+          currentFile.type !== 'renamed' && currentFile.type !== 'copied') {
+        const isOld = line.startsWith('---');
+        const prefix = pathPrefixes ? pathPrefixes[isOld ? 'old' : 'new'] : undefined;
+        const path = parseFileLinePath(line.substring(4), prefix);
+        fileLines[isOld ? 'old' : 'new'] = i;
+
+        const expected = headerPaths && (isOld ? headerPaths.oldPath : headerPaths.newPath);
+        if (expected && path !== '/dev/null' && path !== expected) {
+          report(i, 'warning', `${isOld ? '---' : '+++'} path "${path}" does not match the diff --git header ("${expected}")`);
+        }
+
+        if (path !== '/dev/null') {
+          if (isOld) {
+            currentFile.oldPath = path;
+          } else {
+            currentFile.newPath = path;
+          }
+        }
+      }
+
+      // Binary files (git, diff) and Subversion's binary notice
+      if ((line.match(/^Binary files .* differ/) || line.startsWith('Cannot display: file marked as a binary type')) && currentFile) {
+        currentFile.isBinary = true;
+      }
+
+      // Binary payload from `git diff --binary` (decoded on demand by BinaryPatch)
+      if (line === 'GIT binary patch' && currentFile && !currentHunk) {
+        const binary = parseBinaryPatch(lines, i + 1);
+        currentFile.isBinary = true;
+        currentFile.binaryPatch = binary.patch;
+        i = binary.end;
+        continue;
+      }
+
+      // Combined hunk header (@@@ -X,Y -X,Y +A,B @@@), one range per parent
+      if (line.startsWith('@@@') && currentFile && currentFile.isCombined) {
+        if (currentHunk) {
+          currentFile.hunks.push(currentHunk);
+        }
+        currentHunk = parseCombinedHunkHeader(line);
+        if (currentHunk) {
+          currentFile.parentCount = currentHunk.parentRanges.length;
+          combinedCounters = {
+            parents: currentHunk.parentRanges.map(range => range.start),
+            result: currentHunk.newStart,
+          };
+        }
+        i++;
+        continue;
+      }
+
+      // Hunk header (@@ -X,Y +A,B @@)
+      if (line.startsWith('@@') && currentFile && !currentFile.isCombined) {
+        // Save previous hunk
+        if (currentHunk) {
+          checkHunkLength();
+          currentFile.hunks.push(currentHunk);
+        }
+
+        if (fileLines && (fileLines.old === null) !== (fileLines.new === null)) {
+          report(i, 'warning', fileLines.old === null ? 'Missing --- line before this hunk' : 'Missing +++ line before this hunk');
+          fileLines = { old: null, new: null };
+        }
+
+        const previousHunk = currentFile.hunks[currentFile.hunks.length - 1];
+        currentHunk = parseHunkHeader(line);
+        if (currentHunk) {
+          hunkCounters = {
+            old: currentHunk.oldStart,
+            new: currentHunk.newStart,
+            oldRemaining: currentHunk.oldLines,
+            newRemaining: currentHunk.newLines,
+            headerIndex: i,
+          };
+          if (previousHunk && currentHunk.oldStart < previousHunk.oldStart + previousHunk.oldLines) {
+            report(i, 'warning', 'Hunk overlaps or comes before the previous hunk');
+          }
+        } else {
+          hunkCounters = null;
+          report(i, 'error', `Malformed hunk header: ${line}`);
+        }
+        i++;
+        continue;
+      }
+
+      // "\ No newline at end of file" applies to the line before it
+      if (line.startsWith('\\') && currentHunk && currentHunk.lines.length > 0) {
+        currentHunk.lines[currentHunk.lines.length - 1].noNewline = true;
+        i++;
+        continue;
+      }
+
+      // Combined hunk content lines carry one marker column per parent
+      if (currentHunk && currentFile && currentFile.isCombined) {
+        const combinedLine = parseCombinedLine(line, currentHunk, combinedCounters);
+        if (combinedLine) {
+          currentHunk.lines.push(combinedLine);
+          if (combinedLine.type === 'add') currentFile.additions++;
+          if (combinedLine.type === 'del') currentFile.deletions++;
+        }
+      } else if (currentHunk && currentFile && !currentFile.isBinary) {
+        // The header's line counts tell us where the hunk ends, so trailing
+        // text such as the "-- " email signature is not mistaken for a deletion
+        if (line === '' && i === lines.length - 1) {
+          // The patch's final newline, not an empty context line
+        } else if (hunkCounters.oldRemaining > 0 || hunkCounters.newRemaining > 0) {
+          const hunkLine = parseHunkLine(line, hunkCounters);
+          if (hunkLine) {
+            currentHunk.lines.push(hunkLine);
+            if (hunkLine.type === 'add') currentFile.additions++;
+            if (hunkLine.type === 'del') currentFile.deletions++;
+          } else {
+            report(i, 'error', `Unexpected line inside hunk: ${truncateLine(line)}`);
+          }
+        } else if (line === '-- ' || line.startsWith('Property changes on: ')) {
+          // Email signature or Subversion property block - not part of the diff
+          ignoreRest = true;
+        } else if (/^[+\- ]/.test(line) && !ignoreRest) {
+          report(i, 'warning', `Line after the end of the hunk was ignored: ${truncateLine(line)}`);
+        }
+      }
+
+      i++;
+    }
+
+    // Save last file
+    finishFile();
+
+    return files;
+  }
+
+  /**
+   * Shorten a line for use in a diagnostic message
+   * @param {string} line - Raw line
+   * @returns {string} Line, cut to 80 characters
+   */
+  function truncateLine(line) {
+    return line.length > 80 ? `${line.substring(0, 80)}…` : line;
+  }
+
+  /**
+   * Parse a unified diff hunk header (@@ -X,Y +A,B @@ heading)
+   * @param {string} line - Hunk header line
+   * @returns {Object|null} Hunk object or null if malformed
+   */
+  function parseHunkHeader(line) {
+    const match = line.match(/^@@ -(\d+)(?:,(\d+))? \+(\d+)(?:,(\d+))? @@(.*)/);
+    if (!match) return null;
+
+    return {
+      oldStart: parseInt(match[1]),
+      oldLines: match[2] !== undefined ? parseInt(match[2]) : 1,
+      newStart: parseInt(match[3]),
+      newLines: match[4] !== undefined ? parseInt(match[4]) : 1,
+      heading: match[5].trim(),
+      lines: [],
+    };
+  }
+
+  /**
+   * Parse a unified diff content line and number it
+   * @param {string} line - Raw line
+   * @param {Object} counters - Running { old, new, oldRemaining, newRemaining } for the hunk
+   * @returns {Object|null} Line object or null if not a content line
+   */
+  function parseHunkLine(line, counters) {
+    const marker = line[0];
+
+    if (marker === '+') {
+      counters.newRemaining--;
+      return { type: 'add', content: line.substring(1), oldLineNumber: null, newLineNumber: counters.new++ };
+    }
+
+    if (marker === '-') {
+      counters.oldRemaining--;
+      return { type: 'del', content: line.substring(1), oldLineNumber: counters.old++, newLineNumber: null };
+    }
+
+    // Some editors strip the trailing space of empty context lines
+    if (marker === ' ' || line === '') {
+      counters.oldRemaining--;
+      counters.newRemaining--;
+      return { type: 'context', content: line.substring(1), oldLineNumber: counters.old++, newLineNumber: counters.new++ };
+    }
+
+    return null;
+  }
+
+  /**
+   * Parse one context diff (diff -c) hunk and convert it to a unified hunk
+   * Context diffs list the old and new sides separately ("!" marks changed lines);
+   * a side with no changes is left out and has to be rebuilt from the other side's context.
+   * @param {Array<string>} lines - Patch lines
+   * @param {number} start - Index of the line after the ***************
+   * @param {string} heading - Text after the separator (diff -p function name)
+   * @returns {Object} { hunk, end } - hunk is null if malformed, end is the index after the hunk
+   */
+  function parseContextHunk(lines, start, heading) {
+    const oldRange = (lines[start] || '').match(/^\*\*\* (\d+)(?:,(\d+))? \*\*\*\*/);
+    if (!oldRange) return { hunk: null, end: start };
+
+    const readSide = (from, isEnd, expected) => {
+      const entries = [];
+      let i = from;
+      while (i < lines.length && !isEnd(lines[i])) {
+        const line = lines[i];
+        if (line.startsWith('\\') && entries.length > 0) {
+          entries[entries.length - 1].noNewline = true;
+        } else if (/^[ +\-!] /.test(line) || (line === '' && entries.length < expected)) {
+          entries.push({ marker: line[0] || ' ', content: line.substring(2) });
+        } else {
+          break;
+        }
+        i++;
+      }
+      return { entries, end: i };
+    };
+
+    // A "start,end" range spans end - start + 1 lines; a single number is at most one line
+    const rangeSize = match => (match[2] !== undefined ? parseInt(match[2]) - parseInt(match[1]) + 1 : Math.min(parseInt(match[1]), 1));
+    const newRangePattern = /^--- (\d+)(?:,(\d+))? ----/;
+
+    const oldSide = readSide(start + 1, line => newRangePattern.test(line), rangeSize(oldRange));
+    const newRange = (lines[oldSide.end] || '').match(newRangePattern);
+    if (!newRange) return { hunk: null, end: oldSide.end };
+
+    const newSide = readSide(oldSide.end + 1, line => /^\*{15}/.test(line), rangeSize(newRange));
+
+    // An omitted side is the other side's unchanged lines
+    let oldEntries = oldSide.entries;
+    let newEntries = newSide.entries;
+    if (oldEntries.length === 0) oldEntries = newEntries.filter(entry => entry.marker === ' ');
+    if (newEntries.length === 0) newEntries = oldEntries.filter(entry => entry.marker === ' ');
+
+    const hunk = {
+      oldStart: parseInt(oldRange[1]),
+      oldLines: 0,
+      newStart: parseInt(newRange[1]),
+      newLines: 0,
+      heading: heading || '',
+      lines: [],
+    };
+    let oldLine = hunk.oldStart;
+    let newLine = hunk.newStart;
+
+    const pushLine = (type, entry) => {
+      const line = {
+        type,
+        content: entry.content,
+        oldLineNumber: type === 'add' ? null : oldLine++,
+        newLineNumber: type === 'del' ? null : newLine++,
+      };
+      if (entry.noNewline) line.noNewline = true;
+      hunk.lines.push(line);
+    };
+
+    let o = 0;
+    let n = 0;
+    while (o < oldEntries.length || n < newEntries.length) {
+      const oldEntry = oldEntries[o];
+      const newEntry = newEntries[n];
+
+      if (oldEntry && oldEntry.marker === '-') {
+        pushLine('del', oldEntries[o++]);
+      } else if (newEntry && newEntry.marker === '+') {
+        pushLine('add', newEntries[n++]);
+      } else if ((oldEntry && oldEntry.marker === '!') || (newEntry && newEntry.marker === '!')) {
+        // A changed block: all old lines of the run, then all new ones
+        while (o < oldEntries.length && oldEntries[o].marker === '!') pushLine('del', oldEntries[o++]);
+        while (n < newEntries.length && newEntries[n].marker === '!') pushLine('add', newEntries[n++]);
+      } else {
+        pushLine('context', oldEntry || newEntry);
+        o++;
+        n++;
+      }
+    }
+
+    hunk.lines.forEach(line => {
+      if (line.type !== 'add') hunk.oldLines++;
+      if (line.type !== 'del') hunk.newLines++;
+    });
+
+    return { hunk, end: newSide.end };
+  }
+
+  /**
+   * Read the forward and reverse blocks of a `GIT binary patch`
+   * Each block is "literal <size>" or "delta <size>" followed by
+   * base85 lines and a blank line
+   * @param {Array<string>} lines - Patch lines
+   * @param {number} start - Index of the first line after "GIT binary patch"
+   * @returns {Object} { patch: { forward, reverse }, end } where end is the next unread line
+   */
+  function parseBinaryPatch(lines, start) {
+    const blocks = [];
+    let i = start;
+
+    while (i < lines.length && blocks.length < 2) {
+      const match = lines[i].match(/^(literal|delta) (\d+)$/);
+      if (!match) break;
+
+      const block = { method: match[1], size: parseInt(match[2]), data: [] };
+      i++;
+
+      while (i < lines.length && /^[A-Za-z]/.test(lines[i])) {
+        block.data.push(lines[i]);
+        i++;
+      }
+
+      // Skip the blank line that terminates the block
+      if (i < lines.length && lines[i].trim() === '') {
+        i++;
+      }
+
+      blocks.push(block);
+    }
+
+    return {
+      patch: {
+        forward: blocks[0] || null,
+        reverse: blocks[1] || null,
+      },
+      end: i,
+    };
+  }
+
+  /**
+   * Split the paths of a `diff --git <old> <new>` header
+   * Handles quoted names, the default a/ b/ prefixes, --no-prefix and
+   * --src-prefix/--dst-prefix. When both names are the same (the common case),
+   * the split is exact even if the path itself contains spaces or " b/".
+   * @param {string} rest - Header text after "diff --git "
+   * @returns {Object|null} { oldPath, newPath, oldPrefix, newPrefix } or null if unrecognized
+   */
+  function parseGitHeaderPaths(rest) {
+    // Quoted names ("a/foo\tbar") end at their closing quote
+    if (rest.startsWith('"')) {
+      const oldName = readQuotedPath(rest);
+      if (!oldName || rest[oldName.end] !== ' ') return null;
+      const second = rest.substring(oldName.end + 1);
+      const newName = second.startsWith('"') ? readQuotedPath(second) : { path: second };
+      return newName ? splitHeaderNames(oldName.path, newName.path) : null;
+    }
+
+    const quoteStart = rest.indexOf(' "');
+    if (quoteStart !== -1) {
+      const newName = readQuotedPath(rest.substring(quoteStart + 1));
+      if (newName && quoteStart + 1 + newName.end === rest.length) {
+        return splitHeaderNames(rest.substring(0, quoteStart), newName.path);
+      }
+    }
+
+    // The same name twice - try the middle first, then any other space
+    const middle = (rest.length - 1) / 2;
+    const spaces = [];
+    for (let k = rest.indexOf(' '); k !== -1; k = rest.indexOf(' ', k + 1)) {
+      if (k !== middle) spaces.push(k);
+    }
+    if (rest[middle] === ' ') spaces.unshift(middle);
+
+    for (const k of spaces) {
+      const paths = matchSameName(rest.substring(0, k), rest.substring(k + 1));
+      if (paths) return paths;
+    }
+
+    // Different names (rename/copy) - later header lines refine these
+    const match = rest.match(/^a\/(.+?) b\/(.+)$/);
+    if (match) {
+      return { oldPath: match[1], newPath: match[2], oldPrefix: 'a/', newPrefix: 'b/' };
+    }
+    return spaces.length > 0 ? splitHeaderNames(rest.substring(0, spaces[0]), rest.substring(spaces[0] + 1)) : null;
+  }
+
+  /**
+   * Split two header names into prefixes and paths
+   * @param {string} oldName - First name (with prefix)
+   * @param {string} newName - Second name (with prefix)
+   * @returns {Object} { oldPath, newPath, oldPrefix, newPrefix }
+   */
+  function splitHeaderNames(oldName, newName) {
+    const same = matchSameName(oldName, newName);
+    if (same) return same;
+
+    if (oldName.startsWith('a/') && newName.startsWith('b/')) {
+      return { oldPath: oldName.substring(2), newPath: newName.substring(2), oldPrefix: 'a/', newPrefix: 'b/' };
+    }
+    return { oldPath: oldName, newPath: newName, oldPrefix: '', newPrefix: '' };
+  }
+
+  /**
+   * Check if two header names are one path with (possibly empty) one-directory prefixes,
+   * e.g. "a/x" and "b/x", "x" and "x" (--no-prefix) or "src/x" and "dst/x"
+   * @param {string} left - First name
+   * @param {string} right - Second name
+   * @returns {Object|null} { oldPath, newPath, oldPrefix, newPrefix } or null if the names differ
+   */
+  function matchSameName(left, right) {
+    if (left === right) {
+      return { oldPath: left, newPath: right, oldPrefix: '', newPrefix: '' };
+    }
+
+    const isPrefix = prefix => /^[^/]+\/$/.test(prefix);
+    for (let length = Math.min(left.length, right.length) - 1; length > 0; length--) {
+      const name = left.substring(left.length - length);
+      if (right.substring(right.length - length) !== name) continue;
+
+      const oldPrefix = left.substring(0, left.length - length);
+      const newPrefix = right.substring(0, right.length - length);
+      if (isPrefix(oldPrefix) && isPrefix(newPrefix)) {
+        return { oldPath: name, newPath: name, oldPrefix, newPrefix };
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Read a C-style quoted path as written by git ("a/caf\303\251.txt")
+   * Octal escapes are UTF-8 bytes, so the result is decoded as UTF-8
+   * @param {string} text - Text starting with a double quote
+   * @returns {Object|null} { path, end } - end is the index after the closing quote; null if not quoted
+   */
+  function readQuotedPath(text) {
+    if (!text.startsWith('"')) return null;
+
+    const encoder = new TextEncoder();
+    const bytes = [];
+    let i = 1;
+
+    while (i < text.length) {
+      const ch = text[i];
+
+      if (ch === '"') {
+        return { path: new TextDecoder().decode(new Uint8Array(bytes)), end: i + 1 };
+      }
+
+      if (ch === '\\') {
+        const octal = text.substring(i + 1, i + 4).match(/^[0-7]{1,3}/);
+        if (octal) {
+          bytes.push(parseInt(octal[0], 8));
+          i += 1 + octal[0].length;
+          continue;
+        }
+        if (!(text[i + 1] in C_ESCAPES)) return null;
+        bytes.push(C_ESCAPES[text[i + 1]]);
+        i += 2;
+        continue;
+      }
+
+      const char = String.fromCodePoint(text.codePointAt(i));
+      bytes.push(...encoder.encode(char));
+      i += char.length;
+    }
+
+    return null;
+  }
+
+  /**
+   * Unquote a path if git quoted it
+   * @param {string} value - Path as written in the patch
+   * @returns {string} Real path
+   */
+  function unquotePath(value) {
+    const quoted = readQuotedPath(value);
+    return quoted && quoted.end === value.length ? quoted.path : value;
+  }
+
+  /**
+   * Extract the path from a ---/+++ line, dropping its prefix
+   * and any trailing timestamp or revision
+   * @param {string} value - Text after "--- " or "+++ "
+   * @param {string} [prefix] - Prefix from the diff --git header (defaults to a/ or b/)
+   * @returns {string} File path
+   */
+  function parseFileLinePath(value, prefix) {
+    const quoted = readQuotedPath(value);
+    const [path, label] = quoted ? [quoted.path, null] : value.split('\t');
+    // Subversion marks the missing side of added/deleted files as "(nonexistent)"
+    if (path === '/dev/null' || label === '(nonexistent)') return '/dev/null';
+
+    if (prefix === undefined) {
+      return path.replace(/^[ab]\//, '');
+    }
+    return path.startsWith(prefix) ? path.substring(prefix.length) : path;
+  }
+
+  /**
+   * Parse a combined diff hunk header
+   * The header has N+1 "@" characters for N parents
+   * @param {string} line - Hunk header line
+   * @returns {Object|null} Hunk object or null if malformed
+   */
+  function parseCombinedHunkHeader(line) {
+    const match = line.match(/^(@{3,}) (.+?) \1(.*)$/);
+    if (!match) return null;
+
+    const ranges = match[2].split(' ').map(range => {
+      const rangeMatch = range.match(/^[-+](\d+)(?:,(\d+))?$/);
+      return rangeMatch ? {
+        start: parseInt(rangeMatch[1]),
+        lines: rangeMatch[2] !== undefined ? parseInt(rangeMatch[2]) : 1,
+      } : null;
+    });
+
+    const parentCount = match[1].length - 1;
+    if (ranges.length !== parentCount + 1 || ranges.includes(null)) return null;
+
+    const result = ranges[parentCount];
+    const parentRanges = ranges.slice(0, parentCount);
+
+    return {
+      parentRanges,
+      oldStart: parentRanges[0].start,
+      oldLines: parentRanges[0].lines,
+      newStart: result.start,
+      newLines: result.lines,
+      heading: match[3].trim(),
+      lines: [],
+    };
+  }
+
+  /**
+   * Parse a combined diff content line
+   * Column N holds "+" (not in parent N), "-" (only in parent N) or " " for each parent
+   * @param {string} line - Raw line
+   * @param {Object} hunk - Current combined hunk
+   * @param {Object} counters - Running line numbers { parents: [], result }
+   * @returns {Object|null} Line object or null if not a content line
+   */
+  function parseCombinedLine(line, hunk, counters) {
+    const parentCount = hunk.parentRanges.length;
+    const markers = line.substring(0, parentCount).split('');
+
+    if (markers.length < parentCount || markers.some(m => m !== '+' && m !== '-' && m !== ' ')) {
+      return null;
+    }
+
+    const isRemoved = markers.includes('-');
+    const type = isRemoved ? 'del' : (markers.includes('+') ? 'add' : 'context');
+
+    // A line belongs to parent N if it was removed from N, or kept from N in the result
+    const parentLineNumbers = markers.map((marker, parent) => {
+      const inParent = marker === '-' || (!isRemoved && marker === ' ');
+      return inParent ? counters.parents[parent]++ : null;
+    });
+
+    return {
+      type,
+      content: line.substring(parentCount),
+      markers,
+      parentLineNumbers,
+      newLineNumber: isRemoved ? null : counters.result++,
+    };
+  }
+
+  /**
+   * Check if a diff has to be rewritten before diff2html can display it
+   * @param {Array<string>} lines - Patch lines
+   * @param {string} sourceFormat - Detected source format
+   * @returns {boolean} True for non-git formats, quoted paths and custom prefixes
+   */
+  function needsRewrite(lines, sourceFormat) {
+    if (sourceFormat !== 'git') return true;
+    return lines.some(line =>
+      (line.startsWith('diff --git ') && (!line.startsWith('diff --git a/') || line.includes('"'))) ||
+      /^(---|\+\+\+|rename from|rename to|copy from|copy to) "/.test(line)
+    );
+  }
+
+  /**
+   * Keep only some hunks of a file, e.g. to export part of a patch
+   * The new-side start lines of later hunks are moved by the lines the dropped
+   * hunks would have added or removed, so the result applies without offsets.
+   * @param {Object} file - Parsed file
+   * @param {Array<number>} hunkIndices - Indices of the hunks to keep
+   * @returns {Object} Copy of the file with the kept hunks and their counts (and no
+   *   post-image blob ID when a hunk was left out)
+   */
+  function selectHunks(file, hunkIndices) {
+    const keep = new Set(hunkIndices);
+    const hunks = [];
+    let shift = 0;
+    let additions = 0;
+    let deletions = 0;
+
+    file.hunks.forEach((hunk, index) => {
+      if (!keep.has(index)) {
+        shift += hunk.newLines - hunk.oldLines;
+        return;
+      }
+
+      hunk.lines.forEach(line => {
+        if (line.type === 'add') additions++;
+        if (line.type === 'del') deletions++;
+      });
+      if (shift === 0) {
+        hunks.push(hunk);
+        return;
+      }
+      hunks.push({
+        ...hunk,
+        newStart: hunk.newStart - shift,
+        lines: hunk.lines.map(line => (line.type === 'del' ? line : { ...line, newLineNumber: line.newLineNumber - shift })),
+      });
+    });
+
+    // The post-image blob no longer describes the result once a hunk is left out
+    const newBlob = hunks.length < file.hunks.length ? null : file.newBlob;
+    return { ...file, hunks, additions, deletions, newBlob };
+  }
+
+  /**
+   * Build the patch that undoes a parsed patch, like `git apply -R` sees it: old and
+   * new sides, paths, modes, blobs and added/deleted are swapped, and each hunk's
+   * lines are flipped. A copy is undone by deleting the copy. The commits of a series
+   * come out in reverse order, each as a "Revert" commit, ready for serialize().
+   * @param {Object} parsedPatch - Result of parse()
+   * @returns {Object} { metadata, files, commits, stats, unreversible } - unreversible lists
+   *   { file, reason } for merge diffs (left out), binary files without reverse data
+   *   (kept as "Binary files differ") and copies (deleted, but only with the lines the
+   *   patch shows, where git needs the whole file)
+   */
+  function reversePatch(parsedPatch) {
+    const unreversible = [];
+    const commits = parsedPatch.commits.slice().reverse().map((commit, index) => {
+      const files = [];
+      commit.files.forEach(file => {
+        if (file.isCombined) {
+          unreversible.push({ file, reason: 'Merge diffs can\'t be reversed' });
+          return;
+        }
+        if (file.binaryPatch && !file.binaryPatch.reverse) {
+          unreversible.push({ file, reason: 'The binary patch has no reverse data' });
+        }
+        if ((file.changeType || file.type) === 'copied') {
+          unreversible.push({ file, reason: 'Deleting the copy needs its full contents, which the patch doesn\'t include' });
+        }
+        files.push(reverseFile(file));
+      });
+
+      return {
+        index,
+        metadata: reverseMetadata(commit.metadata),
+        files,
+        stats: calculateStats(files),
+      };
+    });
+
+    const files = [];
+    commits.forEach(commit => files.push(...commit.files));
+
+    return {
+      metadata: commits[0].metadata,
+      files,
+      commits,
+      stats: { ...calculateStats(files), commits: commits.length },
+      unreversible,
+    };
+  }
+
+  /**
+   * Swap the sides of one file
+   * Within a change the old added lines come first, as deletions, so the result reads
+   * like a diff git would have written.
+   * @param {Object} file - Parsed file
+   * @returns {Object} Reversed copy
+   */
+  function reverseFile(file) {
+    if ((file.changeType || file.type) === 'copied') return reverseCopy(file);
+
+    const swapType = type => ({ added: 'deleted', deleted: 'added' }[type] || type);
+    const reversed = {
+      ...file,
+      oldPath: file.newPath,
+      newPath: file.oldPath,
+      type: swapType(file.type),
+      additions: file.deletions,
+      deletions: file.additions,
+      oldMode: file.newMode,
+      newMode: file.oldMode,
+      oldBlob: file.newBlob,
+      newBlob: file.oldBlob,
+    };
+    delete reversed.sourceStart;
+    delete reversed.sourceEnd;
+
+    if (file.changeType) reversed.changeType = swapType(file.changeType);
+    if (file.binaryPatch) {
+      reversed.binaryPatch = file.binaryPatch.reverse
+        ? { forward: file.binaryPatch.reverse, reverse: file.binaryPatch.forward }
+        : null;
+    }
+    if (file.submodule) {
+      reversed.submodule = { ...file.submodule, oldCommit: file.submodule.newCommit, newCommit: file.submodule.oldCommit };
+    }
+    if (file.lfs) {
+      reversed.lfs = { oldOid: file.lfs.newOid, newOid: file.lfs.oldOid, oldSize: file.lfs.newSize, newSize: file.lfs.oldSize };
+    }
+
+    reversed.hunks = file.hunks.map(hunk => {
+      const lines = [];
+      let deletions = [];
+      let additions = [];
+      const flush = () => {
+        lines.push(...deletions, ...additions);
+        deletions = [];
+        additions = [];
+      };
+
+      hunk.lines.forEach(line => {
+        const flipped = {
+          ...line,
+          type: line.type === 'add' ? 'del' : (line.type === 'del' ? 'add' : line.type),
+          oldLineNumber: line.newLineNumber,
+          newLineNumber: line.oldLineNumber,
+        };
+        if (flipped.type === 'del') {
+          deletions.push(flipped);
+        } else if (flipped.type === 'add') {
+          additions.push(flipped);
+        } else {
+          flush();
+          lines.push(flipped);
+        }
+      });
+      flush();
+
+      return {
+        ...hunk,
+        oldStart: hunk.newStart,
+        oldLines: hunk.newLines,
+        newStart: hunk.oldStart,
+        newLines: hunk.oldLines,
+        lines,
+      };
+    });
+
+    return reversed;
+  }
+
+  /**
+   * Undo a copy by deleting the copy
+   * The original file was left alone, so the copy's lines - the context and added
+   * lines of its hunks - become the deleted lines.
+   * @param {Object} file - Parsed copied file
+   * @returns {Object} Deleted file
+   */
+  function reverseCopy(file) {
+    const reversed = {
+      ...file,
+      oldPath: file.newPath,
+      newPath: '/dev/null',
+      type: 'deleted',
+      isCopy: false,
+      similarity: null,
+      dissimilarity: null,
+      oldMode: file.newMode || file.oldMode,
+      newMode: null,
+      oldBlob: file.newBlob,
+      newBlob: file.newBlob ? '0'.repeat(file.newBlob.length) : null,
+      additions: 0,
+    };
+    delete reversed.sourceStart;
+    delete reversed.sourceEnd;
+    if (file.changeType) reversed.changeType = 'deleted';
+
+    reversed.hunks = file.hunks.map(hunk => {
+      const lines = hunk.lines
+        .filter(line => line.type !== 'del')
+        .map(line => ({ ...line, type: 'del', oldLineNumber: line.newLineNumber, newLineNumber: null }));
+      return { ...hunk, oldStart: hunk.newStart, oldLines: lines.length, newStart: 0, newLines: 0, lines };
+    });
+    reversed.deletions = reversed.hunks.reduce((count, hunk) => count + hunk.lines.length, 0);
+
+    return reversed;
+  }
+
+  /**
+   * Describe a reverted commit the way `git revert` does
+   * The author is kept (git am needs one) but the date is dropped, as the revert is new.
+   * @param {Object} metadata - Metadata of the original commit
+   * @returns {Object} Metadata for the revert
+   */
+  function reverseMetadata(metadata) {
+    if (!metadata.subject && !metadata.commitHash) {
+      return { ...metadata, commitHash: null };
+    }
+
+    const subject = `Revert "${metadata.subject || metadata.commitHash.substring(0, 12)}"`;
+    const body = metadata.commitHash ? `This reverts commit ${metadata.commitHash}.` : '';
+    return {
+      ...metadata,
+      commitHash: null,
+      date: null,
+      subject,
+      subjectPrefix: null,
+      body,
+      trailers: [],
+      message: [subject, body].filter(Boolean).join('\n\n'),
+    };
+  }
+
+  /**
+   * Compare two versions of a patch, like `interdiff`: the diff each version makes
+   * to a file is compared line by line, so the result shows only what changed
+   * between v1 and v2. Hunk headers are compared without their line numbers and
+   * blob IDs are left out (as `git range-diff` does), so that a change early in a
+   * file doesn't mark everything after it.
+   * @param {Object} oldPatch - Result of parse() for v1
+   * @param {Object} newPatch - Result of parse() for v2
+   * @param {Object} options - Options
+   * @param {string} options.oldLabel - Name of v1 for the message
+   * @param {string} options.newLabel - Name of v2 for the message
+   * @returns {Object} Result of parse() for the interdiff; its files have interdiff:
+   *   'both', 'v1' or 'v2' (changed only in that version), and unchangedFiles counts
+   *   the files whose diff is the same in both versions
+   */
+  function interdiff(oldPatch, newPatch, options = {}) {
+    const oldDiffs = collectFileDiffs(oldPatch.files);
+    const newDiffs = collectFileDiffs(newPatch.files);
+    const paths = Array.from(new Set([...oldDiffs.keys(), ...newDiffs.keys()])).sort();
+
+    const files = [];
+    const onlyIn = { v1: [], v2: [] };
+    let unchangedFiles = 0;
+
+    paths.forEach(path => {
+      const oldLines = oldDiffs.get(path) || [];
+      const newLines = newDiffs.get(path) || [];
+      const version = !newDiffs.has(path) ? 'v1' : (!oldDiffs.has(path) ? 'v2' : 'both');
+      const hunks = diffLineLists(oldLines, newLines);
+      if (hunks.length === 0) {
+        unchangedFiles++;
+        return;
+      }
+
+      const file = createFile(path, path);
+      file.hunks = hunks;
+      hunks.forEach(hunk => hunk.lines.forEach(line => {
+        if (line.type === 'add') file.additions++;
+        if (line.type === 'del') file.deletions++;
+      }));
+      file.interdiff = version;
+      files.push(file);
+      if (version !== 'both') onlyIn[version].push(path);
+    });
+
+    const oldLabel = options.oldLabel || 'v1';
+    const newLabel = options.newLabel || 'v2';
+    const subject = `Interdiff: ${oldLabel} -> ${newLabel}`;
+    const body = [
+      onlyIn.v1.length > 0 ? `Only changed in v1 (${oldLabel}):\n${onlyIn.v1.map(path => `  ${path}`).join('\n')}` : '',
+      onlyIn.v2.length > 0 ? `Only changed in v2 (${newLabel}):\n${onlyIn.v2.map(path => `  ${path}`).join('\n')}` : '',
+      unchangedFiles > 0 ? `${unchangedFiles} file${unchangedFiles !== 1 ? 's' : ''} changed the same way in both versions.` : '',
+    ].filter(Boolean).join('\n\n');
+    const metadata = { subject, message: [subject, body].filter(Boolean).join('\n\n') };
+
+    // Parsed from its own text, so that copying, sharing and saving work as for any patch
+    const result = parse(serialize({ metadata, files, commits: [{ metadata, files }] }, { emailHeaders: true }));
+    result.files.forEach((file, index) => {
+      file.interdiff = files[index].interdiff;
+    });
+    // The email header's placeholder hash isn't a commit
+    [result, ...result.commits].forEach(entry => {
+      entry.metadata.commitHash = null;
+    });
+    result.unchangedFiles = unchangedFiles;
+    return result;
+  }
+
+  /**
+   * Get the diff lines of every file, by path, as interdiff() compares them
+   * A file changed by several commits of a series has all its diffs, in order.
+   * @param {Array<Object>} files - Parsed files
+   * @returns {Map<string, Array<string>>} Diff lines by path
+   */
+  function collectFileDiffs(files) {
+    const diffs = new Map();
+    files.forEach(file => {
+      if (file.statsOnly || file.isCombined) return;
+
+      const lines = [];
+      writeFileDiff(file, lines);
+      const path = file.newPath !== '/dev/null' ? file.newPath : file.oldPath;
+      if (!diffs.has(path)) diffs.set(path, []);
+      diffs.get(path).push(...lines.slice(1)
+        .filter(line => file.isBinary || !line.startsWith('index '))
+        .map(line => line.replace(/^@@ -\S+ \+\S+ @@/, '@@')));
+    });
+    return diffs;
+  }
+
+  /**
+   * Diff two lists of lines into hunks with three lines of context
+   * The common start and end are taken off and the rest is matched as in
+   * pairWhitespaceChanges() (a longest common subsequence, or lines at the same
+   * position when there are too many).
+   * @param {Array<string>} oldLines - Old lines
+   * @param {Array<string>} newLines - New lines
+   * @returns {Array<Object>} Hunks in the parsed format
+   */
+  function diffLineLists(oldLines, newLines) {
+    let prefix = 0;
+    while (prefix < oldLines.length && prefix < newLines.length && oldLines[prefix] === newLines[prefix]) prefix++;
+    let suffix = 0;
+    while (suffix < oldLines.length - prefix && suffix < newLines.length - prefix &&
+      oldLines[oldLines.length - 1 - suffix] === newLines[newLines.length - 1 - suffix]) suffix++;
+
+    const oldMiddle = oldLines.slice(prefix, oldLines.length - suffix);
+    const newMiddle = newLines.slice(prefix, newLines.length - suffix);
+    if (oldMiddle.length === 0 && newMiddle.length === 0) return [];
+
+    // Edit script as [type, oldIndex, newIndex]
+    const ops = [];
+    for (let i = 0; i < prefix; i++) ops.push(['context', i, i]);
+
+    const pairs = pairWhitespaceChanges(
+      oldMiddle.map(content => ({ content })),
+      newMiddle.map(content => ({ content })),
+      content => content);
+    let i = 0;
+    let j = 0;
+    pairs.concat([[oldMiddle.length, newMiddle.length]]).forEach(([pi, pj]) => {
+      while (i < pi) ops.push(['del', prefix + i++, null]);
+      while (j < pj) ops.push(['add', null, prefix + j++]);
+      if (pi < oldMiddle.length && pj < newMiddle.length) ops.push(['context', prefix + i++, prefix + j++]);
+    });
+
+    for (let k = 0; k < suffix; k++) {
+      ops.push(['context', oldLines.length - suffix + k, newLines.length - suffix + k]);
+    }
+
+    // Group changes with the context around them; close changes share a hunk
+    const hunks = [];
+    let current = null;
+    let lastChange = -Infinity;
+    ops.forEach(([type], index) => {
+      if (type === 'context') return;
+
+      const start = Math.max(0, index - INTERDIFF_CONTEXT);
+      if (current && start <= lastChange + INTERDIFF_CONTEXT + 1) {
+        current.end = index;
+      } else {
+        current = { start, end: index };
+        hunks.push(current);
+      }
+      lastChange = index;
+    });
+
+    return hunks.map(({ start, end }) => {
+      const hunkOps = ops.slice(start, Math.min(ops.length, end + INTERDIFF_CONTEXT + 1));
+      const lines = hunkOps.map(([type, oldIndex, newIndex]) => ({
+        type,
+        content: type === 'add' ? newLines[newIndex] : oldLines[oldIndex],
+        oldLineNumber: oldIndex !== null ? oldIndex + 1 : null,
+        newLineNumber: newIndex !== null ? newIndex + 1 : null,
+      }));
+      // An empty side starts at the line before the hunk, as git writes it
+      const startOf = side => {
+        const first = hunkOps.find(op => op[side] !== null);
+        return first ? first[side] + 1 : ops.slice(0, start).filter(op => op[side] !== null).length;
+      };
+      return {
+        oldStart: startOf(1),
+        oldLines: lines.filter(line => line.type !== 'add').length,
+        newStart: startOf(2),
+        newLines: lines.filter(line => line.type !== 'del').length,
+        heading: '',
+        lines,
+      };
+    });
+  }
+
+  /**
+   * Write a parsed patch back out as text that `git apply` (and, with email
+   * headers, `git am`) accepts. Files and commits that are unchanged since parsing
+   * are copied from the original text, so an unmodified patch comes back byte for
+   * byte; anything else - files edited, dropped or built by hand - is written from
+   * the model. Combined (merge) diffs can't be applied and are only ever copied.
+   * @param {Object} parsedPatch - Result of parse(), or a copy whose commits (or, for a
+   *   single diff, files) have been filtered or edited
+   * @param {Object} options - Options
+   * @param {boolean} [options.emailHeaders] - true to write format-patch email headers for
+   *   every commit, false to write the diffs alone; by default each commit keeps the
+   *   text before its first file (message, headers, diffstat)
+   * @returns {string} Patch text
+   */
+  function serialize(parsedPatch, options = {}) {
+    const commits = parsedPatch.commits && parsedPatch.commits.length > 0
+      ? parsedPatch.commits
+      : [{ metadata: parsedPatch.metadata || {}, files: parsedPatch.files || [] }];
+    const totalLines = typeof parsedPatch.raw === 'string' ? countLines(parsedPatch.raw) : -1;
+
+    let text = '';
+    commits.forEach((commit, position) => {
+      const header = options.emailHeaders === true
+        ? buildEmailHeader(commit.metadata || {}, position, commits.length)
+        : null;
+
+      if (typeof commit.raw !== 'string') {
+        text += writeLines([...(header || []), ...writeFiles(commit.files, null).lines]);
+        return;
+      }
+
+      // The last commit ends where the patch does; the others end with the newline before the next one
+      const rawLines = commit.raw.split('\n');
+      const isLast = commit.startLine + rawLines.length === totalLines;
+      const terminated = !isLast || commit.raw.endsWith('\n');
+      const source = decodeEmailBody(rawLines);
+      const originalFiles = parseFiles(source);
+      // Files known only from a diffstat have nothing to write; the diffstat is kept in the preamble
+      const files = commit.files.filter(file => !file.statsOnly);
+      const written = writeFiles(files, {
+        // writeLines() adds the newline that ends the patch
+        lines: isLast && terminated && source[source.length - 1] === '' ? source.slice(0, -1) : source,
+        files: originalFiles,
+        byStart: new Map(originalFiles.map(file => [file.sourceStart, file])),
+      });
+
+      const unchanged = written.unchanged && files.length === originalFiles.length;
+      if (unchanged && options.emailHeaders === undefined) {
+        text += isLast ? commit.raw : `${commit.raw}\n`;
+        return;
+      }
+
+      // An encoded body can't be kept alongside decoded diff lines, so its email headers are regenerated
+      let preamble = header;
+      if (!preamble && options.emailHeaders === undefined) {
+        const firstFileStart = originalFiles.length > 0 ? originalFiles[0].sourceStart : source.length;
+        preamble = source === rawLines
+          ? source.slice(0, firstFileStart)
+          : buildEmailHeader(commit.metadata || {}, 0, 0);
+        if (!unchanged) preamble = preamble.filter(line => !isDiffstatLine(line));
+      }
+
+      text += writeLines([...(preamble || []), ...written.lines], unchanged && !terminated);
+    });
+
+    return text;
+  }
+
+  /**
+   * Write a commit's files, copying the ones that match the original text
+   * @param {Array<Object>} files - Files to write
+   * @param {Object|null} original - { lines, files, byStart } - the commit's lines, the files
+   *   parsed from them and those files by first line, or null if there is no original text
+   * @returns {Object} { lines, unchanged } - unchanged is true when every file was copied
+   *   and together they are the original files in their original order
+   */
+  function writeFiles(files, original) {
+    const lines = [];
+    let unchanged = original !== null;
+
+    files.forEach((file, index) => {
+      const match = original && findOriginalFile(file, original.byStart);
+      if (match) {
+        lines.push(...original.lines.slice(match.sourceStart, match.sourceEnd));
+        unchanged = unchanged && original.files[index] === match;
+      } else {
+        unchanged = false;
+        // Files known only from a diffstat, and merge diffs, can't be written as a diff
+        if (!file.statsOnly && !file.isCombined) writeFileDiff(file, lines, { forApply: true });
+      }
+    });
+
+    return { lines, unchanged };
+  }
+
+  /**
+   * Find the original file a file was parsed from, if it is still unchanged
+   * @param {Object} file - File to write
+   * @param {Map<number, Object>} byStart - Files parsed again from the commit's lines, by first line
+   * @returns {Object|null} Matching original file
+   */
+  function findOriginalFile(file, byStart) {
+    if (file.sourceStart === undefined) return null;
+
+    const original = byStart.get(file.sourceStart);
+    if (!original || original.sourceEnd !== file.sourceEnd) return null;
+    if (file.isCombined) return original;
+
+    const written = [];
+    const expected = [];
+    writeFileDiff(file, written, { forApply: true });
+    writeFileDiff(original, expected, { forApply: true });
+    return written.join('\n') === expected.join('\n') ? original : null;
+  }
+
+  /**
+   * Build `git format-patch` email headers for a commit
+   * @param {Object} metadata - Commit metadata
+   * @param {number} position - Index of the commit in the series
+   * @param {number} count - Number of commits in the series (0 to leave out "n/m")
+   * @returns {Array<string>} Header lines, the message and the "---" separator
+   */
+  function buildEmailHeader(metadata, position, count) {
+    const lines = [`From ${metadata.commitHash || '0'.repeat(40)} Mon Sep 17 00:00:00 2001`];
+
+    if (metadata.author || metadata.authorEmail) {
+      const address = [metadata.author, metadata.authorEmail && `<${metadata.authorEmail}>`].filter(Boolean);
+      lines.push(`From: ${address.join(' ')}`);
+    }
+    if (metadata.date) {
+      lines.push(`Date: ${metadata.date}`);
+    }
+
+    const number = count > 1 ? ` ${position + 1}/${count}` : '';
+    lines.push(`Subject: [PATCH${number}] ${metadata.subject || ''}`.trimEnd());
+
+    const message = metadata.message || '';
+    const body = message.startsWith(metadata.subject || '\0')
+      ? message.substring(metadata.subject.length).replace(/^\n+/, '')
+      : message;
+
+    // git am reads the body as UTF-8 only if it is told to
+    if (/[^\x00-\x7f]/.test(lines.join('\n') + body)) {
+      lines.push('MIME-Version: 1.0', 'Content-Type: text/plain; charset=UTF-8', 'Content-Transfer-Encoding: 8bit');
+    }
+
+    lines.push('');
+    if (body) lines.push(...body.split('\n'), '');
+    lines.push('---');
+    return lines;
+  }
+
+  /**
+   * Check whether a line belongs to a diffstat (which goes stale when files change)
+   * @param {string} line - Raw line
+   * @returns {boolean} True for --stat, --numstat and --summary lines
+   */
+  function isDiffstatLine(line) {
+    const text = line.replace(/\r$/, '');
+    return [DIFFSTAT_LINE, DIFFSTAT_BINARY_LINE, DIFFSTAT_SUMMARY, NUMSTAT_LINE, SUMMARY_MODE_LINE, SUMMARY_MODE_CHANGE_LINE]
+      .some(pattern => pattern.test(text));
+  }
+
+  /**
+   * Join lines into text that ends with a newline
+   * @param {Array<string>} lines - Lines
+   * @param {boolean} [unterminated] - Leave out the final newline, as in the original text
+   * @returns {string} Text
+   */
+  function writeLines(lines, unterminated = false) {
+    if (lines.length === 0) return '';
+    return lines.join('\n') + (unterminated ? '' : '\n');
+  }
+
+  /**
+   * Count the lines of a text the way split('\n') does
+   * @param {string} text - Text
+   * @returns {number} Number of lines
+   */
+  function countLines(text) {
+    let count = 1;
+    for (let i = text.indexOf('\n'); i !== -1; i = text.indexOf('\n', i + 1)) count++;
+    return count;
+  }
+
+  /**
+   * Write parsed files back out as a git-style unified diff
+   * @param {Array<Object>} files - Parsed file objects
+   * @returns {string} Diff text
+   */
+  function buildUnifiedDiff(files) {
+    const out = [];
+    files.forEach(file => writeFileDiff(file, out));
+    return out.join('\n') + '\n';
+  }
+
+  /**
+   * Write one file as git-style diff lines
+   * The default output is for diff2html, which wants plain a/ b/ paths; with
+   * options.forApply paths are quoted the way git quotes them, hunk counts are
+   * taken from the hunk lines and binary patch data is included, so that
+   * `git apply` accepts the result.
+   * @param {Object} file - Parsed file object
+   * @param {Array<string>} out - Receives the lines
+   * @param {Object} options - { forApply }
+   */
+  function writeFileDiff(file, out, options = {}) {
+    const forApply = !!options.forApply;
+    const oldPath = file.oldPath !== '/dev/null' ? file.oldPath : file.newPath;
+    const newPath = file.newPath !== '/dev/null' ? file.newPath : file.oldPath;
+    const name = path => (forApply ? quotePath(path) : path);
+    const oldLabel = file.oldPath === '/dev/null' ? '/dev/null' : name(`a/${oldPath}`);
+    const newLabel = file.newPath === '/dev/null' ? '/dev/null' : name(`b/${newPath}`);
+
+    // Submodules and LFS pointers keep their added/deleted/renamed type in changeType
+    const type = file.changeType || file.type;
+
+    out.push(`diff --git ${name(`a/${oldPath}`)} ${name(`b/${newPath}`)}`);
+    // Combined diffs are drawn by DiffPanels; the header is enough to place them
+    if (file.isCombined) return;
+
+    if (type === 'added') {
+      out.push(`new file mode ${file.newMode || '100644'}`);
+    } else if (type === 'deleted') {
+      out.push(`deleted file mode ${file.oldMode || '100644'}`);
+    } else if (file.oldMode && file.newMode && file.oldMode !== file.newMode) {
+      out.push(`old mode ${file.oldMode}`, `new mode ${file.newMode}`);
+    }
+    if (file.similarity !== null && file.similarity !== undefined) {
+      out.push(`similarity index ${file.similarity}%`);
+    }
+    if (file.dissimilarity !== null && file.dissimilarity !== undefined) {
+      out.push(`dissimilarity index ${file.dissimilarity}%`);
+    }
+    if (type === 'renamed' || type === 'copied') {
+      const verb = type === 'renamed' ? 'rename' : 'copy';
+      out.push(`${verb} from ${name(oldPath)}`, `${verb} to ${name(newPath)}`);
+    }
+    if (file.oldBlob && file.newBlob) {
+      const mode = file.oldMode && file.oldMode === file.newMode ? ` ${file.oldMode}` : '';
+      out.push(`index ${file.oldBlob}..${file.newBlob}${mode}`);
+    }
+
+    if (file.isBinary) {
+      if (forApply && file.binaryPatch && file.binaryPatch.forward) {
+        out.push('GIT binary patch');
+        [file.binaryPatch.forward, file.binaryPatch.reverse].filter(Boolean).forEach(block => {
+          out.push(`${block.method} ${block.size}`, ...block.data, '');
+        });
+      } else {
+        out.push(`Binary files ${oldLabel} and ${newLabel} differ`);
+      }
+      return;
+    }
+    if (file.hunks.length === 0) return;
+
+    // git marks names containing spaces with a trailing tab so patch(1) reads them whole
+    const tab = label => (forApply && label.includes(' ') && !label.startsWith('"') ? '\t' : '');
+    out.push(`--- ${oldLabel}${tab(oldLabel)}`);
+    out.push(`+++ ${newLabel}${tab(newLabel)}`);
+
+    file.hunks.forEach(hunk => {
+      const heading = hunk.heading ? ` ${hunk.heading}` : '';
+      const oldLines = forApply ? hunk.lines.filter(line => line.type !== 'add').length : hunk.oldLines;
+      const newLines = forApply ? hunk.lines.filter(line => line.type !== 'del').length : hunk.newLines;
+      out.push(`@@ -${hunk.oldStart},${oldLines} +${hunk.newStart},${newLines} @@${heading}`);
+      hunk.lines.forEach(line => {
+        const prefix = line.type === 'add' ? '+' : (line.type === 'del' ? '-' : ' ');
+        out.push(prefix + line.content);
+        if (line.noNewline) out.push('\\ No newline at end of file');
+      });
+    });
+  }
+
+  /**
+   * Quote a path the way git does (core.quotePath): names with control
+   * characters, quotes, backslashes or non-ASCII bytes are written as a C string
+   * @param {string} path - Real path
+   * @returns {string} Path as git would write it in a patch
+   */
+  function quotePath(path) {
+    if (!/[\x00-\x1f"\\\x7f-\uffff]/.test(path)) return path;
+
+    let quoted = '"';
+    new TextEncoder().encode(path).forEach(byte => {
+      const escape = Object.keys(C_ESCAPES).find(key => C_ESCAPES[key] === byte);
+      if (escape) {
+        quoted += `\\${escape}`;
+      } else if (byte < 0x20 || byte >= 0x7f) {
+        quoted += `\\${byte.toString(8).padStart(3, '0')}`;
+      } else {
+        quoted += String.fromCharCode(byte);
+      }
+    });
+    return `${quoted}"`;
+  }
+
+  /**
+   * Recognise submodule updates and Git LFS pointer files, whose text diffs say little
+   * Their type becomes 'submodule' or 'lfs' and the original type is kept as changeType.
+   * @param {Object} file - File object
+   */
+  function classifySpecialFile(file) {
+    if (file.isBinary || file.isCombined) return;
+
+    // Contents of each side, as far as the hunks show them
+    const oldLines = [];
+    const newLines = [];
+    file.hunks.forEach(hunk => {
+      hunk.lines.forEach(line => {
+        if (line.type !== 'add') oldLines.push(line.content);
+        if (line.type !== 'del') newLines.push(line.content);
+      });
+    });
+
+    const oldSubproject = parseSubprojectLines(oldLines);
+    const newSubproject = parseSubprojectLines(newLines);
+    const isGitlink = file.oldMode === '160000' || file.newMode === '160000';
+    if (isGitlink || (oldSubproject !== null && newSubproject !== null && (oldSubproject.commit || newSubproject.commit))) {
+      file.changeType = file.type;
+      file.type = 'submodule';
+      file.submodule = {
+        oldCommit: oldSubproject ? oldSubproject.commit : null,
+        newCommit: newSubproject ? newSubproject.commit : null,
+        dirty: !!(newSubproject && newSubproject.dirty),
+      };
+      return;
+    }
+
+    const oldPointer = parseLfsPointer(oldLines);
+    const newPointer = parseLfsPointer(newLines);
+    if (oldPointer !== null && newPointer !== null && (oldPointer.oid || newPointer.oid)) {
+      file.changeType = file.type;
+      file.type = 'lfs';
+      file.lfs = {
+        oldOid: oldPointer.oid,
+        newOid: newPointer.oid,
+        oldSize: oldPointer.size,
+        newSize: newPointer.size,
+      };
+    }
+  }
+
+  /**
+   * Read one side of a submodule diff ("Subproject commit <sha>")
+   * @param {Array<string>} lines - Contents of one side
+   * @returns {Object|null} { commit, dirty } (commit is null for an empty side) or null if
+   *   the lines aren't a submodule commit
+   */
+  function parseSubprojectLines(lines) {
+    if (lines.length === 0) return { commit: null, dirty: false };
+    const match = lines.length === 1 ? lines[0].match(SUBPROJECT_LINE) : null;
+    return match ? { commit: match[1], dirty: !!match[2] } : null;
+  }
+
+  /**
+   * Read one side of a Git LFS pointer file
+   * @param {Array<string>} lines - Contents of one side
+   * @returns {Object|null} { oid, size } (both null for an empty side) or null if the
+   *   lines aren't an LFS pointer
+   */
+  function parseLfsPointer(lines) {
+    if (lines.length === 0) return { oid: null, size: null };
+    if (!LFS_VERSION_LINE.test(lines[0])) return null;
+
+    const pointer = { oid: null, size: null };
+    for (const line of lines.slice(1)) {
+      const match = line.match(/^([a-z0-9.-]+) (.+)$/);
+      if (!match) return null;
+      if (match[1] === 'oid') pointer.oid = match[2];
+      if (match[1] === 'size') pointer.size = parseInt(match[2], 10);
+    }
+    return pointer.oid && pointer.size !== null ? pointer : null;
+  }
+
+  /**
+   * Parse the diffstat in front of the diff (format-patch, --stat, --numstat and --summary output)
+   * @param {Array<string>} lines - Lines of one commit
+   * @param {number} lineOffset - Index of the first line within the whole patch
+   * @returns {Object|null} { format: 'stat'|'numstat', files, summary, line } or null if there is
+   *   no diffstat; files are { path, oldPath, abbreviated, changes, additions, deletions, exact,
+   *   isBinary, line } and line numbers are 1-based within the whole patch
+   */
+  function parseDiffstat(lines, lineOffset = 0) {
+    const files = [];
+    const modes = [];
+    let summary = null;
+    let format = 'stat';
+
+    for (let i = 0; i < lines.length; i++) {
+      const line = lines[i].replace(/\r$/, '');
+      // The diffstat always comes before the first file
+      if (/^(diff |Index: |--- |\*\*\* |==== )/.test(line)) break;
+
+      let match;
+      if ((match = line.match(DIFFSTAT_BINARY_LINE))) {
+        files.push(createDiffstatEntry(match[1], i + lineOffset + 1, { isBinary: true }));
+      } else if ((match = line.match(DIFFSTAT_LINE))) {
+        const changes = parseInt(match[2], 10);
+        const plus = (match[3] || '').length;
+        const minus = (match[4] || '').length;
+        // Long graphs are scaled down, so they only give the ratio of additions to deletions
+        const exact = plus + minus === changes || plus === 0 || minus === 0;
+        let additions = plus;
+        if (plus + minus !== changes) {
+          additions = minus === 0 ? changes : Math.round(changes * plus / (plus + minus));
+        }
+        files.push(createDiffstatEntry(match[1], i + lineOffset + 1, {
+          changes, additions, deletions: changes - additions, exact,
+        }));
+      } else if ((match = line.match(NUMSTAT_LINE))) {
+        format = 'numstat';
+        const isBinary = match[1] === '-';
+        const additions = isBinary ? 0 : parseInt(match[1], 10);
+        const deletions = isBinary ? 0 : parseInt(match[2], 10);
+        files.push(createDiffstatEntry(match[3], i + lineOffset + 1, {
+          changes: additions + deletions, additions, deletions, exact: true, isBinary,
+        }));
+      } else if ((match = line.match(DIFFSTAT_SUMMARY))) {
+        summary = {
+          filesChanged: parseInt(match[1], 10),
+          additions: parseInt(match[2] || '0', 10),
+          deletions: parseInt(match[3] || '0', 10),
+          line: i + lineOffset + 1,
+        };
+      } else if ((match = line.match(SUMMARY_MODE_LINE))) {
+        modes.push({ kind: match[1], mode: match[2], path: unquotePath(match[3]) });
+      } else if ((match = line.match(SUMMARY_MODE_CHANGE_LINE))) {
+        modes.push({ kind: 'mode', oldMode: match[1], newMode: match[2], path: unquotePath(match[3]) });
+      }
+    }
+
+    if (files.length === 0 && !summary) return null;
+
+    // --summary lines give the file modes and whether files were created or deleted
+    modes.forEach(mode => {
+      const entry = files.find(candidate => diffstatPathMatches(candidate, mode.path));
+      if (!entry) return;
+      if (mode.kind === 'create') entry.created = mode.mode;
+      if (mode.kind === 'delete') entry.deleted = mode.mode;
+      if (mode.kind === 'mode') {
+        entry.oldMode = mode.oldMode;
+        entry.newMode = mode.newMode;
+      }
+    });
+
+    return { format, files, summary, line: files.length > 0 ? files[0].line : summary.line };
+  }
+
+  /**
+   * Create a diffstat entry, expanding renames ("old => new", "dir/{old => new}")
+   * and git's "..." abbreviation of long paths
+   * @param {string} rawPath - Path as written in the diffstat
+   * @param {number} line - 1-based line number within the whole patch
+   * @param {Object} counts - Line counts and flags
+   * @returns {Object} Diffstat entry
+   */
+  function createDiffstatEntry(rawPath, line, counts) {
+    const entry = {
+      path: rawPath,
+      oldPath: rawPath,
+      abbreviated: rawPath.startsWith('...'),
+      changes: 0,
+      additions: 0,
+      deletions: 0,
+      exact: true,
+      isBinary: false,
+      line,
+      ...counts,
+    };
+
+    const braces = rawPath.match(/^(.*)\{(.*) => (.*)\}(.*)$/);
+    const arrow = rawPath.match(/^(.*) => (.*)$/);
+    const clean = path => unquotePath(path.replace(/\/{2,}/g, '/').replace(/^\//, ''));
+
+    if (braces) {
+      entry.oldPath = clean(braces[1] + braces[2] + braces[4]);
+      entry.path = clean(braces[1] + braces[3] + braces[4]);
+    } else if (arrow) {
+      entry.oldPath = unquotePath(arrow[1]);
+      entry.path = unquotePath(arrow[2]);
+    } else {
+      entry.path = entry.oldPath = unquotePath(rawPath);
+    }
+    return entry;
+  }
+
+  /**
+   * Check whether a diffstat entry refers to a path
+   * Abbreviated entries only keep the end of the path
+   * @param {Object} entry - Diffstat entry
+   * @param {string} path - File path
+   * @returns {boolean} True if they match
+   */
+  function diffstatPathMatches(entry, path) {
+    if (!entry.abbreviated) return entry.path === path;
+    return path.endsWith(entry.path.substring(3));
+  }
+
+  /**
+   * Compare a diffstat with the parsed diff and report differences, which usually
+   * mean the patch was truncated or edited by hand
+   * @param {Object} diffstat - Result of parseDiffstat
+   * @param {Array<Object>} files - Parsed files of the same commit
+   * @param {Array<Object>} diagnostics - Problems found so far; warnings are added to it
+   */
+  function checkDiffstat(diffstat, files, diagnostics) {
+    const warn = (line, message, filePath = null) => {
+      diagnostics.push({ line, severity: 'warning', message, filePath });
+    };
+    const remaining = files.slice();
+
+    diffstat.files.forEach(entry => {
+      const index = remaining.findIndex(file =>
+        diffstatPathMatches(entry, file.newPath !== '/dev/null' ? file.newPath : file.oldPath));
+      if (index === -1) {
+        warn(entry.line, `Diffstat lists ${entry.path} but the patch has no diff for it`, entry.path);
+        return;
+      }
+
+      const file = remaining.splice(index, 1)[0];
+      if (entry.isBinary || file.isBinary || file.isCombined) return;
+
+      if (diffstat.format === 'numstat' && (entry.additions !== file.additions || entry.deletions !== file.deletions)) {
+        warn(entry.line, `Diffstat counts +${entry.additions} -${entry.deletions} for ${entry.path} but the diff has +${file.additions} -${file.deletions}`, entry.path);
+      } else if (entry.changes !== file.additions + file.deletions) {
+        warn(entry.line, `Diffstat counts ${entry.changes} changed lines in ${entry.path} but the diff has ${file.additions + file.deletions}`, entry.path);
+      }
+    });
+
+    remaining.forEach(file => {
+      const path = file.newPath !== '/dev/null' ? file.newPath : file.oldPath;
+      warn(diffstat.line, `${path} has a diff but is missing from the diffstat`, path);
+    });
+
+    const summary = diffstat.summary;
+    const stats = calculateStats(files);
+    if (summary && (summary.filesChanged !== stats.filesChanged || summary.additions !== stats.additions ||
+        summary.deletions !== stats.deletions)) {
+      warn(summary.line, `Diffstat summary (${summary.filesChanged} files, +${summary.additions} -${summary.deletions}) ` +
+        `does not match the diff (${stats.filesChanged} files, +${stats.additions} -${stats.deletions}); ` +
+        'the patch may be truncated or edited by hand');
+    }
+  }
+
+  /**
+   * Build file entries from a diffstat when the patch has no diff (git diff --stat / --numstat)
+   * @param {Object} diffstat - Result of parseDiffstat
+   * @returns {Array<Object>} Stats-only file objects
+   */
+  function createFilesFromDiffstat(diffstat) {
+    return diffstat.files.map(entry => {
+      const file = createFile(entry.oldPath, entry.path);
+      file.statsOnly = true;
+      file.approximate = !entry.exact;
+      file.additions = entry.additions;
+      file.deletions = entry.deletions;
+      file.isBinary = entry.isBinary;
+
+      if (entry.oldPath !== entry.path) {
+        file.type = 'renamed';
+      } else if (entry.created) {
+        file.type = 'added';
+        file.oldPath = '/dev/null';
+        file.newMode = entry.created;
+      } else if (entry.deleted) {
+        file.type = 'deleted';
+        file.newPath = '/dev/null';
+        file.oldMode = entry.deleted;
+      } else if (entry.oldMode) {
+        file.oldMode = entry.oldMode;
+        file.newMode = entry.newMode;
+      }
+      return file;
+    });
+  }
+
+  /**
+   * Get intra-line (word or character) changes for a file's modified lines.
+   * Within each hunk, a run of deleted lines is paired in order with the added
+   * lines that follow it; each pair is diffed once and the result is cached per
+   * file, so both renderers share it.
+   * @param {Object} file - Parsed file
+   * @param {string} granularity - 'word' or 'char'
+   * @returns {Map} Hunk line object -> Array<{ text, changed }> segments (unpaired
+   *   lines and pairs too different to be worth marking up have no entry)
+   */
+  function getInlineDiffs(file, granularity = 'word') {
+    let cached = inlineDiffCache.get(file);
+    if (!cached) {
+      cached = {};
+      inlineDiffCache.set(file, cached);
+    }
+    if (cached[granularity]) return cached[granularity];
+
+    const result = new Map();
+    cached[granularity] = result;
+    if (file.isCombined || !file.hunks) return result;
+
+    for (const hunk of file.hunks) {
+      let deleted = [];
+      let added = [];
+
+      const flush = () => {
+        const count = Math.min(deleted.length, added.length);
+        for (let i = 0; i < count; i++) {
+          const segments = diffLinePair(deleted[i].content, added[i].content, granularity);
+          if (segments) {
+            result.set(deleted[i], segments.old);
+            result.set(added[i], segments.new);
+          }
+        }
+        deleted = [];
+        added = [];
+      };
+
+      for (const line of hunk.lines) {
+        if (line.type === 'del') {
+          if (added.length > 0) flush();
+          deleted.push(line);
+        } else if (line.type === 'add') {
+          added.push(line);
+        } else {
+          flush();
+        }
+      }
+      flush();
+    }
+
+    return result;
+  }
+
+  /**
+   * Diff one deleted/added line pair token by token
+   * @param {string} oldText - Deleted line content
+   * @param {string} newText - Added line content
+   * @param {string} granularity - 'word' or 'char'
+   * @returns {Object|null} { old, new } segment arrays, or null if the lines are equal,
+   *   too long, or too different for the highlight to help
+   */
+  function diffLinePair(oldText, newText, granularity) {
+    const oldTokens = tokenizeLine(oldText, granularity);
+    const newTokens = tokenizeLine(newText, granularity);
+    if (oldTokens.length * newTokens.length > INLINE_DIFF_MAX_CELLS) return null;
+
+    // Longest common subsequence table, filled from the end of both lines
+    const rows = oldTokens.length;
+    const cols = newTokens.length;
+    const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        table[i][j] = oldTokens[i] === newTokens[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const common = table[0][0];
+    const commonLength = countCommonLength(oldTokens, newTokens, table);
+    const similarity = (2 * commonLength) / Math.max(1, oldText.length + newText.length);
+    if (common === 0 || common === rows && common === cols || similarity < INLINE_DIFF_MIN_SIMILARITY) {
+      return null;
+    }
+
+    const oldSegments = [];
+    const newSegments = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows || j < cols) {
+      if (i < rows && j < cols && oldTokens[i] === newTokens[j]) {
+        pushSegment(oldSegments, oldTokens[i++], false);
+        pushSegment(newSegments, newTokens[j++], false);
+      } else if (j < cols && (i === rows || table[i][j + 1] >= table[i + 1][j])) {
+        pushSegment(newSegments, newTokens[j++], true);
+      } else {
+        pushSegment(oldSegments, oldTokens[i++], true);
+      }
+    }
+
+    return { old: oldSegments, new: newSegments };
+  }
+
+  /**
+   * Total length of the tokens on the table's longest common subsequence
+   * @param {Array<string>} oldTokens - Tokens of the deleted line
+   * @param {Array<string>} newTokens - Tokens of the added line
+   * @param {Array<Uint32Array>} table - LCS table filled from the end of both lines
+   * @returns {number} Number of characters the two lines share
+   */
+  function countCommonLength(oldTokens, newTokens, table) {
+    let length = 0;
+    let i = 0;
+    let j = 0;
+    while (i < oldTokens.length && j < newTokens.length) {
+      if (oldTokens[i] === newTokens[j]) {
+        length += oldTokens[i].length;
+        i++;
+        j++;
+      } else if (table[i][j + 1] >= table[i + 1][j]) {
+        j++;
+      } else {
+        i++;
+      }
+    }
+    return length;
+  }
+
+  /**
+   * Split a line into diff tokens: words, whitespace runs and single punctuation
+   * characters, or individual characters
+   * @param {string} text - Line content
+   * @param {string} granularity - 'word' or 'char'
+   * @returns {Array<string>} Tokens
+   */
+  function tokenizeLine(text, granularity) {
+    if (granularity === 'char') return Array.from(text);
+    return text.match(WORD_TOKEN) || [];
+  }
+
+  /**
+   * Append a token, merging it into the previous segment when both are (un)changed
+   * @param {Array<Object>} segments - { text, changed } segments built so far
+   * @param {string} text - Token text
+   * @param {boolean} changed - Whether the token is part of the change
+   */
+  function pushSegment(segments, text, changed) {
+    const last = segments[segments.length - 1];
+    if (last && last.changed === changed) {
+      last.text += text;
+    } else {
+      segments.push({ text, changed });
+    }
+  }
+
+  /**
+   * View a file the way `git diff -b`, `-w` or `--ignore-blank-lines` would show it.
+   * Within each run of changed lines, deleted and added lines that only differ in
+   * whitespace are re-paired into context lines (marked whitespaceOnly), and with
+   * blankLines, added or deleted blank lines are left out (splitting the hunk so
+   * line numbers stay right). Results are cached per file and options.
+   * @param {Object} file - Parsed file
+   * @param {Object} options - Options
+   * @param {string} options.whitespace - 'change' (-b), 'all' (-w) or anything else to compare exactly
+   * @param {boolean} options.blankLines - Ignore added/deleted blank lines (hunks left
+   *   with only unchanged context are dropped)
+   * @returns {Object} The file itself when nothing is ignored, otherwise a copy with
+   *   new hunks, recounted additions/deletions and whitespaceChanges (lines changed
+   *   only in whitespace)
+   */
+  function ignoreWhitespace(file, options = {}) {
+    const whitespace = ['change', 'all'].includes(options.whitespace) ? options.whitespace : null;
+    const blankLines = !!options.blankLines;
+    if ((!whitespace && !blankLines) || file.isCombined || !file.hunks || file.hunks.length === 0) {
+      return file;
+    }
+
+    const key = `${whitespace}:${blankLines}`;
+    let cached = whitespaceCache.get(file);
+    if (!cached) {
+      cached = {};
+      whitespaceCache.set(file, cached);
+    }
+    if (cached[key]) return cached[key];
+
+    const normalize = whitespace === 'all'
+      ? content => content.replace(/\s+/g, '')
+      : whitespace === 'change'
+        ? content => content.replace(/\s+/g, ' ').trimEnd()
+        : content => content;
+
+    const result = { ...file, hunks: [], additions: 0, deletions: 0, whitespaceChanges: 0 };
+
+    file.hunks.forEach(hunk => {
+      let current = null;
+      let oldNext = hunk.oldStart;
+      let newNext = hunk.newStart;
+      const gaps = { old: false, new: false };
+
+      const emit = line => {
+        // Lines after a left-out line on the same side need a hunk of their own
+        if ((line.type !== 'add' && gaps.old) || (line.type !== 'del' && gaps.new)) {
+          current = null;
+          gaps.old = gaps.new = false;
+        }
+        if (!current) {
+          current = { ...hunk, oldStart: oldNext, oldLines: 0, newStart: newNext, newLines: 0, lines: [] };
+          if (result.hunks.length > 0 && result.hunks[result.hunks.length - 1].source === hunk) {
+            current.heading = '';
+          }
+          current.source = hunk;
+          result.hunks.push(current);
+        }
+        current.lines.push(line);
+        if (line.type !== 'add') { current.oldLines++; oldNext++; }
+        if (line.type !== 'del') { current.newLines++; newNext++; }
+        if (line.type === 'add') result.additions++;
+        if (line.type === 'del') result.deletions++;
+      };
+
+      const skip = line => {
+        if (line.type === 'del') {
+          oldNext++;
+          gaps.old = true;
+        } else {
+          newNext++;
+          gaps.new = true;
+        }
+        result.whitespaceChanges++;
+      };
+
+      const emitChanged = line => {
+        if (blankLines && line.content.trim() === '') skip(line); else emit(line);
+      };
+
+      let deleted = [];
+      let added = [];
+      const flush = () => {
+        const pairs = whitespace ? pairWhitespaceChanges(deleted, added, normalize) : [];
+        let d = 0;
+        let a = 0;
+        pairs.concat([[deleted.length, added.length]]).forEach(([di, ai]) => {
+          while (d < di) emitChanged(deleted[d++]);
+          while (a < ai) emitChanged(added[a++]);
+          if (di < deleted.length && ai < added.length) {
+            const oldLine = deleted[d++];
+            const newLine = added[a++];
+            result.whitespaceChanges++;
+            emit({
+              type: 'context',
+              content: newLine.content,
+              oldLineNumber: oldLine.oldLineNumber,
+              newLineNumber: newLine.newLineNumber,
+              ...(newLine.noNewline ? { noNewline: true } : {}),
+              whitespaceOnly: true,
+            });
+          }
+        });
+        deleted = [];
+        added = [];
+      };
+
+      hunk.lines.forEach(line => {
+        if (line.type === 'del') {
+          deleted.push(line);
+        } else if (line.type === 'add') {
+          added.push(line);
+        } else {
+          flush();
+          emit(line);
+        }
+      });
+      flush();
+    });
+
+    // Hunks left with nothing but unchanged context aren't worth showing
+    result.hunks = result.hunks.filter(hunk =>
+      hunk.lines.some(line => line.type !== 'context' || line.whitespaceOnly));
+
+    // Git writes an empty side's start as the line before it
+    result.hunks.forEach(hunk => {
+      if (hunk.oldLines === 0) hunk.oldStart = Math.max(0, hunk.oldStart - 1);
+      if (hunk.newLines === 0) hunk.newStart = Math.max(0, hunk.newStart - 1);
+      delete hunk.source;
+    });
+
+    cached[key] = result;
+    return result;
+  }
+
+  /**
+   * Match deleted and added lines that are equal once whitespace is normalized,
+   * keeping their order (longest common subsequence)
+   * @param {Array<Object>} deleted - Deleted lines of one change
+   * @param {Array<Object>} added - Added lines of the same change
+   * @param {Function} normalize - Whitespace normalization
+   * @returns {Array<Array<number>>} [deletedIndex, addedIndex] pairs in order
+   */
+  function pairWhitespaceChanges(deleted, added, normalize) {
+    if (deleted.length === 0 || added.length === 0) return [];
+
+    const key = line => normalize(line.content) + (line.noNewline ? '\n' : '');
+    const oldKeys = deleted.map(key);
+    const newKeys = added.map(key);
+
+    // Too large for a table: only pair lines at the same position
+    if (oldKeys.length * newKeys.length > WHITESPACE_PAIR_MAX_CELLS) {
+      const pairs = [];
+      for (let i = 0; i < Math.min(oldKeys.length, newKeys.length); i++) {
+        if (oldKeys[i] === newKeys[i]) pairs.push([i, i]);
+      }
+      return pairs;
+    }
+
+    const rows = oldKeys.length;
+    const cols = newKeys.length;
+    const table = Array.from({ length: rows + 1 }, () => new Uint32Array(cols + 1));
+    for (let i = rows - 1; i >= 0; i--) {
+      for (let j = cols - 1; j >= 0; j--) {
+        table[i][j] = oldKeys[i] === newKeys[j]
+          ? table[i + 1][j + 1] + 1
+          : Math.max(table[i + 1][j], table[i][j + 1]);
+      }
+    }
+
+    const pairs = [];
+    let i = 0;
+    let j = 0;
+    while (i < rows && j < cols) {
+      if (oldKeys[i] === newKeys[j]) {
+        pairs.push([i++, j++]);
+      } else if (table[i + 1][j] >= table[i][j + 1]) {
+        i++;
+      } else {
+        j++;
+      }
+    }
+    return pairs;
+  }
+
+  /**
+   * Find blocks of deleted lines that reappear as added lines, in the same file or
+   * another one, like `git diff --color-moved`. A block starts on an identical line
+   * (whitespace runs compared as one space) and may continue through lines with
+   * small edits; blocks need 20 letters or digits to count, as in git. Results are
+   * cached per files array.
+   * @param {Array<Object>} files - Parsed files (of one commit or the whole patch)
+   * @returns {Object} { blocks, lines } - blocks: Array<{ id, oldFileIndex, oldStart,
+   *   newFileIndex, newStart, length, edited }>; lines: Map of hunk line -> { block,
+   *   side: 'old'|'new', first, edited, segments } (segments mark the edits of an
+   *   edited line, as from getInlineDiffs)
+   */
+  function detectMovedCode(files) {
+    if (movedCodeCache.has(files)) return movedCodeCache.get(files);
+
+    const result = { blocks: [], lines: new Map() };
+    movedCodeCache.set(files, result);
+
+    // Runs of consecutive deleted or added lines; a deleted run and the added run
+    // after it share a change id, since pairing those is an edit, not a move
+    const deletedRuns = [];
+    const addedRuns = [];
+    let changeId = 0;
+    files.forEach((file, fileIndex) => {
+      if (file.isCombined || !file.hunks) return;
+      file.hunks.forEach(hunk => {
+        let run = null;
+        hunk.lines.forEach(line => {
+          if (line.type === 'context') {
+            run = null;
+            changeId++;
+            return;
+          }
+          if (!run || run.type !== line.type) {
+            run = { type: line.type, fileIndex, change: changeId, lines: [], keys: [] };
+            (line.type === 'del' ? deletedRuns : addedRuns).push(run);
+          }
+          run.lines.push(line);
+          run.keys.push(line.content.replace(/\s+/g, ' ').trim());
+        });
+        changeId++;
+      });
+    });
+
+    // Added lines by content, for finding where a deleted line went
+    const addedByKey = new Map();
+    addedRuns.forEach(run => run.keys.forEach((key, pos) => {
+      if (countAlnum(key) < MOVED_SEED_MIN_ALNUM) return;
+      if (!addedByKey.has(key)) addedByKey.set(key, []);
+      addedByKey.get(key).push({ run, pos });
+    }));
+
+    const used = new Set();
+    deletedRuns.forEach(oldRun => {
+      let i = 0;
+      while (i < oldRun.lines.length) {
+        const candidates = (addedByKey.get(oldRun.keys[i]) || [])
+          .filter(c => c.run.change !== oldRun.change && !used.has(c.run.lines[c.pos]))
+          .slice(0, MOVED_MAX_CANDIDATES);
+
+        let best = null;
+        candidates.forEach(candidate => {
+          const match = extendMovedBlock(oldRun, i, candidate.run, candidate.pos, used);
+          if (!best || match.exact > best.exact || (match.exact === best.exact && match.length > best.length)) {
+            best = { ...match, run: candidate.run, pos: candidate.pos };
+          }
+        });
+
+        if (!best || best.alnum < MOVED_MIN_ALNUM || best.exact * 2 < best.length) {
+          i++;
+          continue;
+        }
+
+        const block = {
+          id: result.blocks.length,
+          oldFileIndex: oldRun.fileIndex,
+          oldStart: oldRun.lines[i].oldLineNumber,
+          newFileIndex: best.run.fileIndex,
+          newStart: best.run.lines[best.pos].newLineNumber,
+          length: best.length,
+          edited: best.exact < best.length,
+        };
+        result.blocks.push(block);
+
+        for (let k = 0; k < best.length; k++) {
+          const oldLine = oldRun.lines[i + k];
+          const newLine = best.run.lines[best.pos + k];
+          const edits = best.edits[k];
+          used.add(oldLine);
+          used.add(newLine);
+          result.lines.set(oldLine, { block, side: 'old', first: k === 0, edited: !!edits, segments: edits ? edits.old : null });
+          result.lines.set(newLine, { block, side: 'new', first: k === 0, edited: !!edits, segments: edits ? edits.new : null });
+        }
+        i += best.length;
+      }
+    });
+
+    return result;
+  }
+
+  /**
+   * Follow a deleted run and an added run from matching lines for as long as their
+   * lines are the same or only slightly edited
+   * @returns {Object} { length, exact, alnum, edits } - edits[k] holds the segments
+   *   of the k-th pair when it was edited
+   */
+  function extendMovedBlock(oldRun, oldPos, newRun, newPos, used) {
+    const match = { length: 0, exact: 0, alnum: 0, edits: [] };
+
+    while (oldPos + match.length < oldRun.lines.length && newPos + match.length < newRun.lines.length) {
+      const k = match.length;
+      const oldLine = oldRun.lines[oldPos + k];
+      const newLine = newRun.lines[newPos + k];
+      if (used.has(oldLine) || used.has(newLine)) break;
+
+      const oldKey = oldRun.keys[oldPos + k];
+      const newKey = newRun.keys[newPos + k];
+      if (oldKey === newKey) {
+        match.exact++;
+        match.edits.push(null);
+      } else {
+        const segments = diffLinePair(oldLine.content, newLine.content, 'word');
+        if (!segments || segmentSimilarity(segments) < MOVED_EDIT_MIN_SIMILARITY) break;
+        match.edits.push(segments);
+      }
+      match.alnum += countAlnum(newKey);
+      match.length++;
+    }
+
+    // A block ends on its last identical line rather than on a loose edited match
+    while (match.length > 0 && match.edits[match.length - 1]) {
+      match.edits.pop();
+      match.length--;
+    }
+    match.alnum = 0;
+    for (let k = 0; k < match.length; k++) match.alnum += countAlnum(newRun.keys[newPos + k]);
+    return match;
+  }
+
+  /**
+   * Share of two lines left unchanged, from their diffLinePair segments
+   * @param {Object} segments - { old, new } segment arrays from diffLinePair
+   * @returns {number} Similarity from 0 to 1
+   */
+  function segmentSimilarity(segments) {
+    const total = side => segments[side].reduce((sum, s) => sum + s.text.length, 0);
+    const unchanged = segments.old.filter(s => !s.changed).reduce((sum, s) => sum + s.text.length, 0);
+    return (2 * unchanged) / Math.max(1, total('old') + total('new'));
+  }
+
+  /**
+   * Count the letters and digits in a line, so blocks of braces and blank lines
+   * don't count as moved code
+   * @param {string} text - Line content
+   * @returns {number} Number of letters and digits
+   */
+  function countAlnum(text) {
+    return (text.match(/[\p{L}\p{N}]/gu) || []).length;
+  }
+
+  /**
+   * Calculate overall statistics
+   * @param {Array<Object>} files - Parsed files
+   * @returns {Object} Statistics object
+   */
+  function calculateStats(files) {
+    const stats = {
+      filesChanged: files.length,
+      additions: 0,
+      deletions: 0,
+    };
+
+    files.forEach(file => {
+      stats.additions += file.additions;
+      stats.deletions += file.deletions;
+    });
+
+    return stats;
+  }
+
+  /**
+   * Detect programming language from a file's path and content: user overrides,
+   * editor modelines, well-known filenames, (compound) extensions and shebangs
+   * @param {Object|string} fileOrPath - Parsed file, or just a file path
+   * @param {Object} options - Options
+   * @param {Array<Object>} options.overrides - User { pattern, language } glob overrides,
+   *   checked in order (patterns without a slash match the file name in any directory)
+   * @returns {string} Language identifier for syntax highlighting (a Prism language id)
+   */
+  function detectLanguage(fileOrPath, options = {}) {
+    const file = typeof fileOrPath === 'string' ? null : fileOrPath;
+    const filePath = file
+      ? (file.newPath && file.newPath !== '/dev/null' ? file.newPath : file.oldPath)
+      : fileOrPath;
+    if (!filePath) return 'plaintext';
+
+    for (const override of options.overrides || []) {
+      if (override.pattern && override.language && globToRegExp(override.pattern).test(filePath)) {
+        return normalizeLanguage(override.language) || 'plaintext';
+      }
+    }
+
+    const headLines = file ? getLeadingLines(file) : [];
+
+    const modeline = headLines.map(parseModeline).find(Boolean);
+    if (modeline) return modeline;
+
+    const filename = filePath.split('/').pop().toLowerCase();
+    if (LANGUAGE_FILENAMES[filename]) return LANGUAGE_FILENAMES[filename];
+
+    // Longest extension first, so "d.ts" and "gradle.kts" win over "ts" and "kts"
+    const parts = filename.split('.');
+    for (let i = 1; i < parts.length; i++) {
+      const language = LANGUAGE_EXTENSIONS[parts.slice(i).join('.')];
+      if (language) return language;
+    }
+
+    const shebang = headLines[0] && parseShebang(headLines[0]);
+    return shebang || 'plaintext';
+  }
+
+  /**
+   * Map a language name or alias (from a modeline, shebang or user override) to a
+   * Prism language id
+   * @param {string} name - Language name
+   * @returns {string|null} Language id, or null if unknown
+   */
+  function normalizeLanguage(name) {
+    const key = String(name).trim().toLowerCase();
+    if (!key) return null;
+    if (LANGUAGE_ALIASES[key]) return LANGUAGE_ALIASES[key];
+    if (LANGUAGE_IDS.has(key)) return key;
+    return null;
+  }
+
+  /**
+   * First lines of a file visible in its hunks (for shebangs and modelines)
+   * @param {Object} file - Parsed file
+   * @returns {Array<string>} Contents of lines 1-5 of the new file (old file when deleted)
+   */
+  function getLeadingLines(file) {
+    const side = file.newPath === '/dev/null' ? 'oldLineNumber' : 'newLineNumber';
+    const leading = [];
+    for (const hunk of file.hunks || []) {
+      for (const line of hunk.lines) {
+        const number = line[side];
+        if (number >= 1 && number <= 5) leading[number - 1] = line.content;
+      }
+      if (leading.length >= 5) break;
+    }
+    return leading[0] === undefined ? [] : leading.filter(line => line !== undefined);
+  }
+
+  /**
+   * Read the language from a vim or Emacs modeline
+   * @param {string} line - Line content
+   * @returns {string|null} Language id
+   */
+  function parseModeline(line) {
+    const vim = line.match(VIM_MODELINE);
+    if (vim) return normalizeLanguage(vim[1]);
+
+    const emacs = line.match(EMACS_MODELINE);
+    if (emacs) return normalizeLanguage(emacs[1] || emacs[2]);
+
+    return null;
+  }
+
+  /**
+   * Read the language from a "#!" line
+   * @param {string} line - First line of the file
+   * @returns {string|null} Language id
+   */
+  function parseShebang(line) {
+    const match = line.match(SHEBANG);
+    if (!match) return null;
+
+    // "#!/usr/bin/env -S python3 -u" -> "python3"; versions like python3.11 are dropped
+    let words = match[1].trim().split(/\s+/);
+    if (words[0].split('/').pop() === 'env') {
+      words = words.slice(1).filter(word => !word.startsWith('-') && !word.includes('='));
+    }
+    const interpreter = (words[0] || '').split('/').pop().replace(/[\d.]+$/, '');
+    return SHEBANG_INTERPRETERS[interpreter] || normalizeLanguage(interpreter);
+  }
+
+  /**
+   * Convert a gitignore-style glob to a regular expression. "*" and "?" don't match
+   * "/", "**" matches across directories, and patterns without a slash match the
+   * file name in any directory
+   * @param {string} pattern - Glob pattern
+   * @returns {RegExp} Regular expression matching full paths
+   */
+  function globToRegExp(pattern) {
+    const glob = pattern.trim().replace(/^\//, '');
+    let source = '';
+    for (let i = 0; i < glob.length; i++) {
+      const char = glob[i];
+      if (char === '*' && glob[i + 1] === '*') {
+        const slash = glob[i + 2] === '/';
+        source += slash ? '(?:.*/)?' : '.*';
+        i += slash ? 2 : 1;
+      } else if (char === '*') {
+        source += '[^/]*';
+      } else if (char === '?') {
+        source += '[^/]';
+      } else {
+        source += char.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+      }
+    }
+    const prefix = glob.includes('/') ? '^' : '(?:^|/)';
+    return new RegExp(`${prefix}${source}$`, 'i');
   }
 
   /**
@@ -371,9 +3312,16 @@ const PatchParser = (() => {
     // Check for common patch indicators
     const indicators = [
       /^diff --git/m,
+      /^diff -r [0-9a-f]+ /m,
+      /^Index: .+\n=+$/m,
+      /^==== \/\/.+ ====/m,
+      /^\*\*\* .+\n--- .+\n\*{15}/m,
       /^--- /m,
       /^\+\+\+ /m,
       /^@@ /m,
+      // Diffstat only (git diff --stat / --numstat)
+      /^ \d+ files? changed/m,
+      /^(\d+|-)\t(\d+|-)\t.+$/m,
     ];
 
     return indicators.some(regex => regex.test(patchText));
@@ -383,9 +3331,19 @@ const PatchParser = (() => {
   return {
     parse,
     detectLanguage,
+    normalizeLanguage,
     groupFilesByDirectory,
     formatRelativeTime,
     isValidPatch,
+    serialize,
+    selectHunks,
+    reversePatch,
+    interdiff,
+    getInlineDiffs,
+    ignoreWhitespace,
+    detectMovedCode,
+    buildUnifiedDiff,
+    countLines,
   };
 })();
 
@@ -0,0 +1,69 @@
+/**
+ * Parser Worker
+ * Runs PatchParser off the main thread for BackgroundParser. Files are streamed
+ * back in batches as they are parsed, followed by the full result.
+ *
+ * Messages in:  { id, text }
+ * Messages out: { id, type: 'files', files, progress } - file summaries (without hunks)
+ *               { id, type: 'done', result } - without the copies of the text (see stripText)
+ *               { id, type: 'error', message }
+ */
+
+importScripts('parser.js');
+
+// Send streamed files at most this often so the main thread isn't flooded with messages
+const BATCH_INTERVAL = 100;
+
+self.onmessage = (e) => {
+  const { id, text } = e.data;
+  let batch = [];
+  let lastFlush = 0;
+
+  const flush = (progress) => {
+    self.postMessage({ id, type: 'files', files: batch, progress });
+    batch = [];
+    lastFlush = Date.now();
+  };
+
+  try {
+    const result = PatchParser.parse(text, {
+      onFile: (file, progress) => {
+        // The file tree only needs paths, types and counts; hunks come with the result
+        const { hunks, binaryPatch, ...summary } = file;
+        batch.push(summary);
+        if (Date.now() - lastFlush >= BATCH_INTERVAL) {
+          flush(progress);
+        }
+      },
+    });
+
+    if (batch.length > 0) {
+      flush({ parsed: result.files.length, total: result.files.length });
+    }
+    self.postMessage({ id, type: 'done', result: stripText(result) });
+  } catch (error) {
+    self.postMessage({ id, type: 'error', message: error.message });
+  }
+};
+
+/**
+ * Leave the copies of the patch text out of a result, so a large patch isn't
+ * posted back several times over. Commits keep the number of lines of their raw
+ * text, and a diffText only when it differs from the raw text (decoded emails,
+ * rewritten diffs); BackgroundParser rebuilds the rest from the text it sent.
+ * @param {Object} result - Result of PatchParser.parse
+ * @returns {Object} Result with raw and diffText set to null
+ */
+function stripText(result) {
+  return {
+    ...result,
+    raw: null,
+    diffText: null,
+    commits: result.commits.map(commit => ({
+      ...commit,
+      raw: null,
+      rawLineCount: PatchParser.countLines(commit.raw),
+      diffText: commit.diffText === commit.raw ? null : commit.diffText,
+    })),
+  };
+}
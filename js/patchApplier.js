@@ -0,0 +1,375 @@
+/**
+ * Patch Applier
+ * Applies a parsed patch to files the user supplies, in the browser, the way
+ * `git apply` does - plus GNU patch's fuzz. Each hunk is matched by its context
+ * near the line it names; the result says for every hunk whether it applied
+ * cleanly, at an offset, with fuzz, or was rejected (rejected hunks are written
+ * out like patch's .rej files).
+ */
+
+const PatchApplier = (() => {
+  const MAX_FUZZ = 3;
+
+  const encoder = new TextEncoder();
+  const decoder = new TextDecoder('utf-8', { fatal: true });
+
+  /**
+   * Apply a patch to a set of files
+   * The commits of a series are applied in order, each to the result of the last.
+   * @param {Object} parsedPatch - Result of PatchParser.parse
+   * @param {Map<string, Uint8Array>} sources - Supplied files by relative path; paths may
+   *   carry an extra leading folder (a dropped checkout) or no folders at all (single files)
+   * @param {Object} options - Options
+   * @param {number} options.fuzz - Context lines that may be ignored at each end of a hunk (0-3)
+   * @returns {Object} { files, outputs } - files: per-file results { path, oldPath, sourcePath,
+   *   status, message, hunks, rejects }; outputs: Map of patched path -> { data, mode }, where
+   *   data is null for deleted files
+   */
+  function apply(parsedPatch, sources, options = {}) {
+    const fuzz = Math.max(0, Math.min(MAX_FUZZ, options.fuzz || 0));
+    const outputs = new Map();
+    const files = parsedPatch.files.map(file => applyFile(file, sources, outputs, fuzz));
+    return { files, outputs };
+  }
+
+  /**
+   * Apply one file of a patch
+   * @param {Object} file - Parsed file
+   * @param {Map<string, Uint8Array>} sources - Supplied files
+   * @param {Map<string, Object>} outputs - Files patched so far (read and updated)
+   * @param {number} fuzz - Maximum fuzz
+   * @returns {Object} File result
+   */
+  function applyFile(file, sources, outputs, fuzz) {
+    const isAdded = file.oldPath === '/dev/null';
+    const isDeleted = file.newPath === '/dev/null';
+    // Submodules and LFS pointers keep their renamed/copied type in changeType
+    const type = file.changeType || file.type;
+    const oldPath = isAdded ? null : file.oldPath;
+    const newPath = isDeleted ? file.oldPath : file.newPath;
+    const result = {
+      path: newPath,
+      oldPath: oldPath && oldPath !== newPath ? oldPath : null,
+      sourcePath: null,
+      status: 'clean',
+      message: '',
+      hunks: [],
+      rejects: null,
+    };
+
+    const fail = (message, status = 'rejected') => {
+      result.status = status;
+      result.message = message;
+      if (status === 'rejected' && file.hunks.length > 0) {
+        result.hunks = file.hunks.map((hunk, index) => ({ index, status: 'rejected', offset: 0, fuzz: 0, line: null }));
+        result.rejects = formatRejects(file, file.hunks);
+      }
+      return result;
+    };
+
+    if (file.isCombined) return fail('Merge diffs can\'t be applied', 'skipped');
+    if (file.statsOnly) return fail('Only a diffstat is available for this file', 'skipped');
+
+    // The file as it is before this patch: patched earlier in the series, or supplied
+    let current = null;
+    if (!isAdded) {
+      current = readFile(oldPath, sources, outputs);
+      if (!current || !current.data) return fail(`${oldPath} was not supplied`, 'missing');
+      result.sourcePath = current.sourcePath;
+    } else {
+      const existing = readFile(newPath, sources, outputs);
+      if (existing && existing.data) return fail(`${newPath} already exists`);
+    }
+    if (type === 'renamed' || type === 'copied') {
+      const target = readFile(newPath, sources, outputs);
+      if (target && target.data) return fail(`${newPath} already exists`);
+    }
+
+    const mode = file.newMode || (current ? current.mode : null) || '100644';
+    let data;
+
+    if (file.isBinary) {
+      try {
+        data = BinaryPatch.applyTo(file, current ? current.data : null);
+      } catch (error) {
+        return fail(`Binary patch can't be applied: ${error.message}`);
+      }
+    } else {
+      let text = '';
+      if (current) {
+        try {
+          text = decoder.decode(current.data);
+        } catch (error) {
+          return fail(`${oldPath} is not UTF-8 text`);
+        }
+      }
+
+      const applied = applyHunks(text, file.hunks, fuzz);
+      result.hunks = applied.hunks;
+      const rejected = file.hunks.filter((hunk, index) => applied.hunks[index].status === 'rejected');
+      if (rejected.length > 0) {
+        result.rejects = formatRejects(file, rejected);
+        if (rejected.length === file.hunks.length) {
+          result.status = 'rejected';
+          result.message = `All ${rejected.length} hunk${rejected.length !== 1 ? 's' : ''} rejected`;
+          return result;
+        }
+        result.status = 'partial';
+        result.message = `${rejected.length} of ${file.hunks.length} hunks rejected`;
+      } else if (applied.hunks.some(hunk => hunk.status !== 'clean')) {
+        result.status = 'offset';
+        result.message = 'Applied with offsets or fuzz';
+      }
+
+      // A deleted file must be emptied by its hunks
+      if (isDeleted && applied.text !== '' && rejected.length === 0) {
+        return fail(`${oldPath} has more content than the patch deletes`);
+      }
+      data = encoder.encode(applied.text);
+    }
+
+    if (isDeleted) {
+      outputs.set(oldPath, { data: null, mode: null });
+      result.message = result.message || 'Deleted';
+      return result;
+    }
+
+    if (type === 'renamed') {
+      outputs.set(oldPath, { data: null, mode: null });
+    }
+    outputs.set(newPath, { data, mode });
+    if (!result.message) {
+      result.message = isAdded ? 'Created' : 'Applied cleanly';
+    }
+    return result;
+  }
+
+  /**
+   * Get a file's current contents: patched earlier in this run, or supplied
+   * @param {string} path - Path in the patch
+   * @param {Map<string, Uint8Array>} sources - Supplied files
+   * @param {Map<string, Object>} outputs - Files patched so far
+   * @returns {Object|null} { data, mode, sourcePath } or null if unknown
+   */
+  function readFile(path, sources, outputs) {
+    if (outputs.has(path)) {
+      return { ...outputs.get(path), sourcePath: path };
+    }
+    const sourcePath = resolveSourcePath(path, sources);
+    return sourcePath ? { data: sources.get(sourcePath), mode: null, sourcePath } : null;
+  }
+
+  /**
+   * Find the supplied file for a path in the patch
+   * A dropped folder adds its own name in front of every path, and single
+   * files have no folders at all, so both are matched by suffix.
+   * @param {string} path - Path in the patch
+   * @param {Map<string, Uint8Array>} sources - Supplied files
+   * @returns {string|null} Key of the matching supplied file
+   */
+  function resolveSourcePath(path, sources) {
+    if (sources.has(path)) return path;
+
+    let best = null;
+    for (const key of sources.keys()) {
+      if (key.endsWith(`/${path}`) && (!best || key.length < best.length)) best = key;
+    }
+    if (best) return best;
+
+    for (const key of sources.keys()) {
+      if (path.endsWith(`/${key}`) && (!best || key.length > best.length)) best = key;
+    }
+    return best;
+  }
+
+  /**
+   * Apply a file's hunks to its text
+   * Each hunk is looked for nearest to its line (moved by the offset the previous hunk
+   * needed) and after the previous hunk. Without an exact match, up to `fuzz` context
+   * lines are dropped from each end of the hunk and the search is repeated.
+   * @param {string} text - Current file contents
+   * @param {Array<Object>} hunks - Parsed hunks
+   * @param {number} fuzz - Maximum fuzz
+   * @returns {Object} { text, hunks } - patched text and per-hunk results
+   *   { index, status: 'clean'|'offset'|'fuzz'|'rejected', offset, fuzz, line }
+   */
+  function applyHunks(text, hunks, fuzz) {
+    const lines = text.split('\n');
+    let endsWithNewline = true;
+    if (lines[lines.length - 1] === '') {
+      lines.pop();
+    } else {
+      endsWithNewline = false;
+    }
+
+    const placements = [];
+    const results = [];
+    let lastOffset = 0;
+    let searchFrom = 0;
+
+    hunks.forEach((hunk, index) => {
+      const oldSide = hunk.lines.filter(line => line.type !== 'add');
+      const newSide = hunk.lines.filter(line => line.type !== 'del');
+      // With no old lines the header names the line to insert after
+      const start = oldSide.length === 0 ? hunk.oldStart : hunk.oldStart - 1;
+
+      const placement = placeHunk(lines, hunk, oldSide, start + lastOffset, searchFrom, fuzz, endsWithNewline);
+      if (!placement) {
+        results.push({ index, status: 'rejected', offset: 0, fuzz: 0, line: null });
+        return;
+      }
+
+      const offset = placement.at - placement.lead - start;
+      lastOffset = offset;
+      searchFrom = placement.at + placement.length;
+      placements.push({
+        ...placement,
+        replacement: newSide.slice(placement.lead, newSide.length - placement.trail),
+      });
+
+      let status = 'clean';
+      if (placement.fuzz > 0) status = 'fuzz';
+      else if (offset !== 0) status = 'offset';
+      results.push({ index, status, offset, fuzz: placement.fuzz, line: placement.at - placement.lead + 1 });
+    });
+
+    const out = [];
+    let position = 0;
+    placements.forEach(placement => {
+      out.push(...lines.slice(position, placement.at));
+      out.push(...placement.replacement.map(line => line.content));
+      position = placement.at + placement.length;
+
+      // A hunk that reaches the end of the file decides whether it ends with a newline
+      if (position === lines.length && placement.trail === 0) {
+        const last = placement.replacement[placement.replacement.length - 1];
+        endsWithNewline = last ? !last.noNewline : true;
+      }
+    });
+    out.push(...lines.slice(position));
+
+    const patched = out.length > 0 ? out.join('\n') + (endsWithNewline ? '\n' : '') : '';
+    return { text: patched, hunks: results };
+  }
+
+  /**
+   * Find where a hunk's old lines are, trying more fuzz until one matches
+   * @returns {Object|null} { at, length, lead, trail, fuzz } - index and length of the
+   *   matched lines and the context lines left out at each end
+   */
+  function placeHunk(lines, hunk, oldSide, expected, searchFrom, maxFuzz, endsWithNewline) {
+    const leading = countContext(hunk.lines);
+    const trailing = countContext(hunk.lines.slice().reverse());
+
+    // Pure insertions have nothing to match
+    if (oldSide.length === 0) {
+      const at = Math.max(searchFrom, Math.min(expected, lines.length));
+      return { at, length: 0, lead: 0, trail: 0, fuzz: 0 };
+    }
+
+    let previous = null;
+    for (let fuzz = 0; fuzz <= maxFuzz; fuzz++) {
+      const lead = Math.min(fuzz, leading);
+      const trail = Math.min(fuzz, trailing);
+      if (previous === `${lead}:${trail}`) continue;
+      previous = `${lead}:${trail}`;
+
+      const pattern = oldSide.slice(lead, oldSide.length - trail);
+      if (pattern.length === 0) break;
+
+      // An old side without a final newline can only match at the end of the file
+      const atEnd = trail === 0 && oldSide[oldSide.length - 1].noNewline;
+      if (atEnd && endsWithNewline) continue;
+
+      const at = findLines(lines, pattern, expected + lead, searchFrom, atEnd);
+      if (at !== -1) return { at, length: pattern.length, lead, trail, fuzz };
+    }
+    return null;
+  }
+
+  /**
+   * Count the context lines at the start of a hunk's lines
+   * @param {Array<Object>} hunkLines - Hunk lines
+   * @returns {number} Number of leading context lines
+   */
+  function countContext(hunkLines) {
+    let count = 0;
+    while (count < hunkLines.length && hunkLines[count].type === 'context') count++;
+    return count;
+  }
+
+  /**
+   * Find a run of lines, nearest to an expected index first
+   * @param {Array<string>} lines - File lines
+   * @param {Array<Object>} pattern - Hunk lines to find
+   * @param {number} expected - Index where the run should start
+   * @param {number} searchFrom - First index the run may start at
+   * @param {boolean} atEnd - The run must end at the end of the file
+   * @returns {number} Start index or -1
+   */
+  function findLines(lines, pattern, expected, searchFrom, atEnd) {
+    const last = lines.length - pattern.length;
+    if (last < searchFrom) return -1;
+
+    const matches = at => pattern.every((line, i) => lines[at + i] === line.content);
+    if (atEnd) return matches(last) ? last : -1;
+
+    const origin = Math.max(searchFrom, Math.min(expected, last));
+    for (let distance = 0; origin - distance >= searchFrom || origin + distance <= last; distance++) {
+      if (origin + distance <= last && matches(origin + distance)) return origin + distance;
+      if (distance > 0 && origin - distance >= searchFrom && matches(origin - distance)) return origin - distance;
+    }
+    return -1;
+  }
+
+  /**
+   * Write rejected hunks the way patch writes a .rej file
+   * @param {Object} file - Parsed file
+   * @param {Array<Object>} hunks - Rejected hunks
+   * @returns {string} Unified diff of the rejected hunks
+   */
+  function formatRejects(file, hunks) {
+    const out = [
+      `--- ${file.oldPath === '/dev/null' ? '/dev/null' : `a/${file.oldPath}`}`,
+      `+++ ${file.newPath === '/dev/null' ? '/dev/null' : `b/${file.newPath}`}`,
+    ];
+    hunks.forEach(hunk => {
+      const heading = hunk.heading ? ` ${hunk.heading}` : '';
+      out.push(`@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@${heading}`);
+      hunk.lines.forEach(line => {
+        out.push((line.type === 'add' ? '+' : (line.type === 'del' ? '-' : ' ')) + line.content);
+        if (line.noNewline) out.push('\\ No newline at end of file');
+      });
+    });
+    return out.join('\n') + '\n';
+  }
+
+  /**
+   * Zip the patched files (and .rej files for rejected hunks)
+   * @param {Object} result - Result of apply()
+   * @returns {Promise<Blob>} Zip archive
+   */
+  async function buildZip(result) {
+    if (typeof JSZip === 'undefined') {
+      throw new Error('JSZip is not available');
+    }
+
+    const zip = new JSZip();
+    result.outputs.forEach((output, path) => {
+      if (!output.data) return;
+      zip.file(path, output.data, { unixPermissions: output.mode === '100755' ? 0o755 : 0o644 });
+    });
+    result.files.forEach(file => {
+      if (file.rejects) zip.file(`${file.path}.rej`, file.rejects);
+    });
+    return zip.generateAsync({ type: 'blob', platform: 'UNIX' });
+  }
+
+  // Public API
+  return {
+    MAX_FUZZ,
+    apply,
+    applyHunks,
+    buildZip,
+  };
+})();
@@ -7,38 +7,61 @@ window.ReactDiffAdapter = (() => {
   // Track mounted React instances for cleanup
   let currentRoot = null;
 
+  // Appended to lines without a trailing newline so react-diff-viewer sees
+  // "foo" and "foo<no newline>" as different lines, like git does
+  const NO_NEWLINE_SENTINEL = '\uE000';
+
+  // Prefix "\uE001<n>\uE002" on a changed line points at entry n of its decorations:
+  // intra-line segments from PatchParser.getInlineDiffs and moved-code markers
+  const DECORATION_TAG = /^\uE001(\d+)\uE002/;
+
   /**
    * Extract old and new file content from patch hunks
    * @param {Object} file - Parsed file object with hunks
-   * @returns {Object} { oldContent, newContent }
+   * @param {Map} inlineDiffs - Intra-line segments per hunk line, from PatchParser.getInlineDiffs
+   * @param {Map} movedLines - Moved-code decorations per hunk line ({ className, segments,
+   *   move, side, jumpLabel })
+   * @returns {Object} { oldContent, newContent, segments } - segments holds the tagged
+   *   lines' { type, segments, moved } entries
    */
-  function extractFileContent(file) {
+  function extractFileContent(file, inlineDiffs = null, movedLines = null) {
     if (!file || !file.hunks || file.hunks.length === 0) {
-      return { oldContent: '', newContent: '' };
+      return { oldContent: '', newContent: '', segments: [] };
     }
 
     const oldLines = [];
     const newLines = [];
+    const segments = [];
 
     file.hunks.forEach(hunk => {
       hunk.lines.forEach(line => {
+        let content = line.noNewline ? line.content + NO_NEWLINE_SENTINEL : line.content;
+
+        const moved = movedLines?.get(line) || null;
+        const lineSegments = moved?.segments || inlineDiffs?.get(line) || null;
+        if (lineSegments || moved) {
+          content = `\uE001${segments.length}\uE002${content}`;
+          segments.push({ type: line.type, segments: lineSegments, moved });
+        }
+
         if (line.type === 'context') {
           // Context lines appear in both old and new
-          oldLines.push(line.content);
-          newLines.push(line.content);
+          oldLines.push(content);
+          newLines.push(content);
         } else if (line.type === 'del') {
           // Deletion lines only in old
-          oldLines.push(line.content);
+          oldLines.push(content);
         } else if (line.type === 'add') {
           // Addition lines only in new
-          newLines.push(line.content);
+          newLines.push(content);
         }
       });
     });
 
     return {
       oldContent: oldLines.join('\n'),
-      newContent: newLines.join('\n')
+      newContent: newLines.join('\n'),
+      segments
     };
   }
 
@@ -128,15 +151,51 @@ window.ReactDiffAdapter = (() => {
    * Syntax highlighting function using Prism
    * @param {string} code - Code to highlight
    * @param {string} language - Language for highlighting
+   * @param {Array<Object>} inlineSegments - Segments referenced by tagged lines
    * @returns {React.Element} Highlighted code element
    */
-  function highlightSyntax(code, language) {
+  function highlightSyntax(code, language, inlineSegments = []) {
     // Prism highlighting is disabled for now due to compatibility issues with CDN version
     // The diff viewer works great without it - differences are still clearly visible
     // TODO: Consider adding syntax highlighting back with a more compatible setup
-    return React.createElement('span', { 
-      style: { display: 'inline' } 
-    }, code || '');
+    code = code || '';
+    const tag = code.match(DECORATION_TAG);
+    const entry = tag ? inlineSegments[Number(tag[1])] : null;
+    if (tag) code = code.slice(tag[0].length);
+
+    const noNewline = code.endsWith(NO_NEWLINE_SENTINEL);
+    let children = [noNewline ? code.slice(0, -1) : code];
+
+    if (entry?.segments) {
+      const className = entry.type === 'add' ? 'inline-diff-add' : 'inline-diff-del';
+      children = entry.segments.map((segment, i) => segment.changed
+        ? React.createElement('span', { key: i, className }, segment.text)
+        : segment.text);
+    }
+
+    if (noNewline) {
+      children.push(React.createElement('span', {
+        key: 'no-newline',
+        className: 'no-newline-marker',
+        title: 'No newline at end of file'
+      }, '⊘'));
+    }
+
+    const moved = entry?.moved;
+    if (moved?.jumpLabel) {
+      children.push(React.createElement('button', {
+        key: 'moved-jump',
+        type: 'button',
+        className: 'moved-jump',
+        'data-move': moved.move,
+        'data-side': moved.side,
+        title: 'Jump to the other side of this moved block'
+      }, `↪ ${moved.jumpLabel}`));
+    }
+
+    return React.createElement('span', moved
+      ? { className: moved.className, 'data-move': moved.move, 'data-side': moved.side }
+      : { style: { display: 'inline' } }, ...children);
   }
 
   /**
@@ -147,6 +206,8 @@ window.ReactDiffAdapter = (() => {
    * @param {boolean} options.splitView - Whether to use side-by-side view
    * @param {boolean} options.isDarkMode - Whether dark mode is active
    * @param {string} options.language - Programming language for syntax highlighting
+   * @param {string} options.inlineDiff - Intra-line highlighting: 'word', 'char' or 'none'
+   * @param {Map} options.movedLines - Moved-code decorations per hunk line
    */
   function render(container, file, options = {}) {
     if (!container) {
@@ -170,17 +231,23 @@ window.ReactDiffAdapter = (() => {
     const {
       splitView = true,
       isDarkMode = false,
-      language = 'plaintext'
+      language = 'plaintext',
+      inlineDiff = 'word',
+      movedLines = null
     } = options;
 
-    // Extract file content
-    const { oldContent, newContent } = extractFileContent(file);
+    // Extract file content, tagging changed lines with the parser's intra-line diffs
+    // (react-diff-viewer's own word diff is turned off so both viewers agree)
+    const inlineDiffs = inlineDiff !== 'none' && typeof PatchParser !== 'undefined'
+      ? PatchParser.getInlineDiffs(file, inlineDiff)
+      : null;
+    const { oldContent, newContent, segments } = extractFileContent(file, inlineDiffs, movedLines);
 
     // Get theme styles
     const styles = getThemeStyles(isDarkMode);
 
     // Create syntax highlighting function bound to the language
-    const renderContent = (code) => highlightSyntax(code, language);
+    const renderContent = (code) => highlightSyntax(code, language, segments);
 
     // Get the component - it's exported as .default from the ES module
     const DiffViewerComponent = window.ReactDiffViewer.default;
@@ -204,6 +271,7 @@ window.ReactDiffAdapter = (() => {
       useDarkTheme: isDarkMode,
       styles: styles,
       compareMethod: 'diffLines',
+      disableWordDiff: true,
       showDiffOnly: false,
       renderContent: renderContent,
       leftTitle: file.oldPath || 'Original',
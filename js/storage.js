@@ -46,6 +46,7 @@ const StorageManager = (() => {
         metadata: patchData.metadata,
         stats: patchData.stats,
         size: patchData.raw.length,
+        blobs: getBlobList(patchData.files),
       };
 
       // Add to patches array
@@ -87,6 +88,24 @@ const StorageManager = (() => {
     return patches.find(p => p.data === patchData) || null;
   }
 
+  /**
+   * Check if a patch changing the same blobs already exists
+   * Catches the same change saved from different sources (format-patch, git show, ...)
+   * @param {Array<Object>} files - Parsed files
+   * @returns {Object|null} Existing patch entry or null
+   */
+  function findPatchByBlobs(files) {
+    const blobs = getBlobList(files);
+    if (!blobs) return null;
+
+    // Blob IDs may be abbreviated to different lengths; pure renames and mode changes have none
+    const sameBlob = (a, b) => (a && b ? a.startsWith(b) || b.startsWith(a) : a === b);
+    const patches = getAllPatches();
+    return patches.find(p => p.blobs && p.blobs.length === blobs.length && p.blobs.every((saved, i) =>
+      saved.path === blobs[i].path && sameBlob(saved.oldBlob, blobs[i].oldBlob) && sameBlob(saved.newBlob, blobs[i].newBlob)
+    )) || null;
+  }
+
   /**
    * Delete a patch by ID
    * @param {string} id - Patch ID
@@ -304,6 +323,22 @@ const StorageManager = (() => {
     return Date.now().toString(36) + Math.random().toString(36).substr(2);
   }
 
+  /**
+   * List the blob IDs of every file in a patch
+   * @param {Array<Object>} files - Parsed files
+   * @returns {Array<Object>|null} { path, oldBlob, newBlob } per file, or null if no file has blob IDs
+   */
+  function getBlobList(files) {
+    if (!files || !files.some(file => file.oldBlob && file.newBlob)) {
+      return null;
+    }
+    return files.map(file => ({
+      path: file.newPath !== '/dev/null' ? file.newPath : file.oldPath,
+      oldBlob: file.oldBlob || null,
+      newBlob: file.newBlob || null,
+    }));
+  }
+
   /**
    * Generate patch name from metadata
    * @param {Object} patchData - Parsed patch data
@@ -312,9 +347,10 @@ const StorageManager = (() => {
   function generatePatchName(patchData) {
     const { metadata, stats } = patchData;
     
-    // Try to use commit message
-    if (metadata.message) {
-      const shortMessage = metadata.message.split('\n')[0].substring(0, 50);
+    // Try to use the commit subject (without its [PATCH] prefix), then the message
+    const subject = metadata.subject || metadata.message;
+    if (subject) {
+      const shortMessage = subject.split('\n')[0].substring(0, 50);
       return shortMessage;
     }
 
@@ -371,6 +407,7 @@ const StorageManager = (() => {
     importPatches,
     formatPatchDate,
     findPatchByContent,
+    findPatchByBlobs,
   };
 })();
 
@@ -0,0 +1,75 @@
+/**
+ * Syntax Highlighter
+ * Highlights diff lines with Prism, loading the Prism component for a language
+ * (and the components it depends on) from the CDN the first time it is needed.
+ */
+
+const SyntaxHighlighter = (() => {
+  // Languages being loaded, so concurrent requests share one download
+  const pending = new Map();
+
+  /**
+   * Check whether a language can be highlighted right now
+   * @param {string} language - Prism language id
+   * @returns {boolean} True if its grammar is loaded
+   */
+  function isLoaded(language) {
+    return typeof Prism !== 'undefined' && !!Prism.languages[language];
+  }
+
+  /**
+   * Load the Prism component for a language if it isn't loaded yet
+   * @param {string} language - Prism language id
+   * @returns {Promise<boolean>} Resolves with true once the grammar is available, or
+   *   false if the language is plain text or its component couldn't be loaded
+   */
+  function ensureLanguage(language) {
+    if (!language || language === 'plaintext') return Promise.resolve(false);
+    if (isLoaded(language)) return Promise.resolve(true);
+
+    const autoloader = typeof Prism !== 'undefined' ? Prism.plugins?.autoloader : null;
+    if (!autoloader) return Promise.resolve(false);
+
+    if (!pending.has(language)) {
+      pending.set(language, new Promise(resolve => {
+        autoloader.loadLanguages(language, () => resolve(isLoaded(language)), () => {
+          console.warn(`Prism component for "${language}" could not be loaded`);
+          resolve(false);
+        });
+      }).finally(() => pending.delete(language)));
+    }
+    return pending.get(language);
+  }
+
+  /**
+   * Highlight a piece of code
+   * @param {string} text - Code (one line or part of one)
+   * @param {string} language - Prism language id
+   * @returns {string} HTML, escaped plain text if the grammar isn't loaded
+   */
+  function highlight(text, language) {
+    if (!isLoaded(language)) return escapeHtml(text);
+
+    try {
+      return Prism.highlight(text, Prism.languages[language], language);
+    } catch (error) {
+      console.warn(`Prism failed to highlight ${language}:`, error);
+      return escapeHtml(text);
+    }
+  }
+
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  // Public API
+  return {
+    ensureLanguage,
+    isLoaded,
+    highlight,
+  };
+})();
@@ -118,12 +118,20 @@ const URLHandler = (() => {
     return getQueryParam('savedPatchId');
   }
 
+  /**
+   * Get blob ID from URL
+   * @returns {string|null} Blob ID of the linked file version
+   */
+  function getBlobFromURL() {
+    return getQueryParam('blob');
+  }
+
   /**
    * Generate permalink for a specific file and line
    * @param {string} patchData - Raw patch data
    * @param {string} filePath - File path
-   * @param {number} lineNumber - Line number
-   * @param {Object} options - Options (includeTheme)
+   * @param {number|null} lineNumber - Line number (null to link to the whole file)
+   * @param {Object} options - Options (includeTheme, blob - blob ID telling apart files with the same path)
    * @returns {string} Permalink URL
    */
   function generatePermalink(patchData, filePath, lineNumber, options = {}) {
@@ -134,7 +142,12 @@ const URLHandler = (() => {
 
       // Add file and line parameters
       permalinkUrl.searchParams.set('file', filePath);
-      permalinkUrl.searchParams.set('line', lineNumber);
+      if (lineNumber) {
+        permalinkUrl.searchParams.set('line', lineNumber);
+      }
+      if (options.blob) {
+        permalinkUrl.searchParams.set('blob', options.blob);
+      }
 
       return permalinkUrl.toString();
     } catch (error) {
@@ -282,6 +295,7 @@ const URLHandler = (() => {
     generatePermalink,
     getFileFromURL,
     getLineFromURL,
+    getBlobFromURL,
     getThemeFromURL,
     getModeFromURL,
     getSavedPatchIdFromURL,
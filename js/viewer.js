@@ -8,6 +8,10 @@ const Viewer = (() => {
   let currentPatch = null;
   let currentView = 'side-by-side'; // 'unified' or 'side-by-side'
   let currentViewerType = 'modern'; // 'modern' (react-diff-viewer) or 'classic' (diff2html)
+  let inlineDiffMode = 'word'; // Intra-line highlighting: 'word', 'char' or 'none'
+  let languageOverrides = []; // User { pattern, language } overrides for language detection
+  let whitespaceMode = 'show'; // 'show', 'change' (git diff -b) or 'all' (git diff -w)
+  let ignoreBlankLines = false; // git diff --ignore-blank-lines
   let currentSelectedFile = null; // Currently selected file for react viewer
   let currentSavedPatchId = null; // Track if current patch is saved
   let filesViewMode = 'flat'; // 'flat' or 'tree'
@@ -16,6 +20,17 @@ const Viewer = (() => {
   let sidebarCollapsed = false; // Track sidebar collapsed state
   let isFullscreenMode = false; // Track fullscreen mode state
   let isMetadataCollapsed = false; // Track metadata collapsed state
+  let currentCommitIndex = -1; // Selected commit in a series (-1 = all commits)
+  let activeParse = null; // Parse running in the background ({ promise, cancel, inWorker })
+  let streamedFiles = []; // Files received from the background parser so far
+  let selectionMode = false; // Checkboxes for exporting part of the patch are shown
+  let exportSelection = null; // Selected files for export (file -> Set of selected hunk indices)
+  let sharePatchText = null; // Patch text behind the open share modal
+  let applyFuzz = 0; // Context lines a hunk may ignore at each end when applied to files
+  let applySources = null; // Supplied files the patch touches (path -> Uint8Array)
+  let applySourceCount = 0; // Number of files supplied, including ones the patch doesn't touch
+  let applyResult = null; // Result of applying the patch to applySources
+  let compareLoadedPatch = null; // Patch loaded from a file to compare with ({ name, text })
 
   /**
    * Initialize the viewer
@@ -35,6 +50,12 @@ const Viewer = (() => {
       currentViewerType = savedViewerType;
     }
 
+    // Load saved intra-line highlighting preference
+    const savedInlineDiff = localStorage.getItem('git-patch-viewer-inline-diff');
+    if (['word', 'char', 'none'].includes(savedInlineDiff)) {
+      inlineDiffMode = savedInlineDiff;
+    }
+
     // Load saved files view mode
     const savedFilesView = localStorage.getItem('git-patch-viewer-files-view-mode');
     if (savedFilesView) {
@@ -45,6 +66,36 @@ const Viewer = (() => {
       }
     }
 
+    // Load saved whitespace preferences
+    const savedWhitespace = localStorage.getItem('git-patch-viewer-whitespace');
+    if (['show', 'change', 'all'].includes(savedWhitespace)) {
+      whitespaceMode = savedWhitespace;
+    }
+    ignoreBlankLines = localStorage.getItem('git-patch-viewer-ignore-blank-lines') === 'true';
+    const whitespaceSelect = document.getElementById('whitespace-mode');
+    if (whitespaceSelect) whitespaceSelect.value = whitespaceMode;
+    const blankLinesToggle = document.getElementById('ignore-blank-lines');
+    if (blankLinesToggle) blankLinesToggle.checked = ignoreBlankLines;
+
+    // Load saved language overrides
+    try {
+      languageOverrides = JSON.parse(localStorage.getItem('git-patch-viewer-language-overrides')) || [];
+    } catch (error) {
+      languageOverrides = [];
+    }
+    const overridesInput = document.getElementById('language-overrides');
+    if (overridesInput) {
+      overridesInput.value = languageOverrides.map(o => `${o.pattern} = ${o.language}`).join('\n');
+    }
+
+    // Load saved fuzz for applying patches to files
+    const savedFuzz = parseInt(localStorage.getItem('git-patch-viewer-apply-fuzz'), 10);
+    if (savedFuzz >= 0 && savedFuzz <= PatchApplier.MAX_FUZZ) {
+      applyFuzz = savedFuzz;
+    }
+    const fuzzSelect = document.getElementById('apply-fuzz');
+    if (fuzzSelect) fuzzSelect.value = String(applyFuzz);
+
     // Load saved sidebar collapsed state
     const savedSidebarState = localStorage.getItem('git-patch-viewer-sidebar-collapsed');
     if (savedSidebarState === 'true') {
@@ -164,6 +215,15 @@ const Viewer = (() => {
       sideBySideBtn.addEventListener('click', () => setView('side-by-side'));
     }
 
+    // Whitespace handling
+    document.getElementById('whitespace-mode')?.addEventListener('change', (e) => setWhitespaceMode(e.target.value, ignoreBlankLines));
+    document.getElementById('ignore-blank-lines')?.addEventListener('change', (e) => setWhitespaceMode(whitespaceMode, e.target.checked));
+
+    // Intra-line highlighting buttons
+    document.getElementById('inline-word-btn')?.addEventListener('click', () => setInlineDiffMode('word'));
+    document.getElementById('inline-char-btn')?.addEventListener('click', () => setInlineDiffMode('char'));
+    document.getElementById('inline-none-btn')?.addEventListener('click', () => setInlineDiffMode('none'));
+
     // Expand/collapse all files
     document.getElementById('expand-all-files')?.addEventListener('click', () => {
       // Click all checked "viewed" checkboxes to expand files
@@ -188,6 +248,21 @@ const Viewer = (() => {
     // Copy all button
     document.getElementById('copy-all-btn')?.addEventListener('click', handleCopyAll);
 
+    // Reverse patch button
+    document.getElementById('reverse-patch-btn')?.addEventListener('click', handleReversePatch);
+
+    // Compare versions (interdiff) button
+    document.getElementById('compare-patch-btn')?.addEventListener('click', openCompareModal);
+
+    // Apply to files: button, or files dropped anywhere on the viewer
+    document.getElementById('apply-patch-btn')?.addEventListener('click', openApplyModal);
+    const viewerSection = document.getElementById('viewer-section');
+    if (viewerSection) {
+      viewerSection.addEventListener('dragover', handleSourceDragOver);
+      viewerSection.addEventListener('dragleave', handleDragLeave);
+      viewerSection.addEventListener('drop', handleSourceDrop);
+    }
+
     // Saved patches button
     document.getElementById('saved-btn')?.addEventListener('click', handleSavedButtonClick);
     document.getElementById('close-saved-btn')?.addEventListener('click', closeSavedSidebar);
@@ -203,10 +278,22 @@ const Viewer = (() => {
 
     // Tree view toggle
     document.getElementById('tree-view-toggle')?.addEventListener('change', handleTreeViewToggle);
+    document.getElementById('apply-language-overrides-btn')?.addEventListener('click', handleApplyLanguageOverrides);
 
     // Files search
     document.getElementById('files-search')?.addEventListener('input', handleFilesSearch);
 
+    // Selecting files and hunks to export as a new patch
+    document.getElementById('select-files-btn')?.addEventListener('click', toggleSelectionMode);
+    document.getElementById('select-all-files-btn')?.addEventListener('click', () => setAllExported(true));
+    document.getElementById('select-no-files-btn')?.addEventListener('click', () => setAllExported(false));
+    document.getElementById('export-download-btn')?.addEventListener('click', handleExportDownload);
+    document.getElementById('export-copy-btn')?.addEventListener('click', handleExportCopy);
+    document.getElementById('export-save-btn')?.addEventListener('click', handleExportSave);
+    document.getElementById('export-share-btn')?.addEventListener('click', handleExportShare);
+    document.querySelector('.sidebar-content')?.addEventListener('change', handleExportCheckboxChange);
+    document.getElementById('diff-container')?.addEventListener('change', handleExportCheckboxChange);
+
     // Sidebar collapse button
     document.getElementById('sidebar-collapse-btn')?.addEventListener('click', toggleSidebarCollapse);
 
@@ -223,6 +310,20 @@ const Viewer = (() => {
     // Fullscreen button
     document.getElementById('fullscreen-btn')?.addEventListener('click', toggleFullscreenMode);
 
+    // Commit navigator
+    document.getElementById('commit-select')?.addEventListener('change', (e) => {
+      selectCommit(parseInt(e.target.value, 10));
+    });
+    document.getElementById('prev-commit-btn')?.addEventListener('click', navigateToPreviousCommit);
+    document.getElementById('next-commit-btn')?.addEventListener('click', navigateToNextCommit);
+
+    // Cancel a background parse
+    document.getElementById('cancel-parse-btn')?.addEventListener('click', cancelParse);
+
+    // Blob ID copy and file link buttons in file headers (re-rendered with every diff)
+    document.getElementById('diff-container')?.addEventListener('click', handleFileHeaderAction);
+    document.getElementById('diff-container')?.addEventListener('click', handleMovedJump);
+
     // Note: Metadata toggle button is created dynamically and has inline onclick handler
   }
 
@@ -256,6 +357,28 @@ const Viewer = (() => {
     // Share modal - save button
     document.getElementById('save-share-patch-btn')?.addEventListener('click', handleSaveFromShareModal);
 
+    // Apply modal
+    const applyDropZone = document.getElementById('apply-drop-zone');
+    if (applyDropZone) {
+      applyDropZone.addEventListener('dragover', handleSourceDragOver);
+      applyDropZone.addEventListener('dragleave', handleDragLeave);
+      applyDropZone.addEventListener('drop', handleSourceDrop);
+    }
+    const folderInput = document.getElementById('apply-folder-input');
+    const filesInput = document.getElementById('apply-files-input');
+    document.getElementById('apply-folder-btn')?.addEventListener('click', () => folderInput?.click());
+    document.getElementById('apply-files-btn')?.addEventListener('click', () => filesInput?.click());
+    folderInput?.addEventListener('change', handleSourceInput);
+    filesInput?.addEventListener('change', handleSourceInput);
+    document.getElementById('apply-fuzz')?.addEventListener('change', (e) => setApplyFuzz(parseInt(e.target.value, 10)));
+    document.getElementById('apply-download-btn')?.addEventListener('click', handleApplyDownload);
+
+    // Compare modal
+    const compareFileInput = document.getElementById('compare-file-input');
+    document.getElementById('compare-load-btn')?.addEventListener('click', () => compareFileInput?.click());
+    compareFileInput?.addEventListener('change', handleCompareFileSelect);
+    document.getElementById('compare-run-btn')?.addEventListener('click', handleCompare);
+
     // Help modal trigger
     document.addEventListener('keydown', (e) => {
       if (e.key === '?' && e.target.tagName !== 'INPUT' && e.target.tagName !== 'TEXTAREA') {
@@ -273,10 +396,10 @@ const Viewer = (() => {
    */
   function setupKeyboardShortcuts() {
     document.addEventListener('keydown', (e) => {
-      // Skip if in input/textarea
-      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA') {
+      // Skip if in input/textarea/select (n and p pick options in the commit select)
+      if (e.target.tagName === 'INPUT' || e.target.tagName === 'TEXTAREA' || e.target.tagName === 'SELECT') {
         // Allow Escape in inputs
-        if (e.key === 'Escape') {
+        if (e.key === 'Escape' && e.target.tagName !== 'SELECT') {
           e.target.blur();
           e.target.value = '';
         }
@@ -315,6 +438,18 @@ const Viewer = (() => {
           navigateToPreviousFile();
           break;
 
+        case 'n':
+        case 'N':
+          e.preventDefault();
+          navigateToNextCommit();
+          break;
+
+        case 'p':
+        case 'P':
+          e.preventDefault();
+          navigateToPreviousCommit();
+          break;
+
         case 'u':
         case 'U':
           e.preventDefault();
@@ -383,7 +518,8 @@ const Viewer = (() => {
 
   function handleParsePatch() {
     const textarea = document.getElementById('patch-textarea');
-    const patchText = textarea.value.trim();
+    // Only drop blank lines at the start: diffstat lines begin with a space
+    const patchText = textarea.value.replace(/^(\s*\n)+/, '').trimEnd();
 
     if (!patchText) {
       showToast('Please enter patch content', 'error');
@@ -418,15 +554,43 @@ const Viewer = (() => {
     try {
       // Validate patch
       if (!PatchParser.isValidPatch(patchText)) {
-        throw new Error('Invalid patch format');
+        throw new Error('No diff found (expected "diff --git", "---"/"+++" or "@@" lines)');
       }
 
-      // Parse patch
-      const parsedPatch = PatchParser.parse(patchText);
+      // Parse patch (large patches in a worker, streaming files into the tree)
+      activeParse?.cancel();
+      streamedFiles = [];
+      const parse = BackgroundParser.parse(patchText, { onFiles: handleStreamedFiles });
+      activeParse = parse;
+      document.getElementById('cancel-parse-btn')?.classList.toggle('hidden', !parse.inWorker);
+
+      parse.promise.then(parsedPatch => {
+        if (activeParse !== parse) return;
+        activeParse = null;
+        showParsedPatch(parsedPatch, skipDuplicateCheck);
+      }).catch(error => {
+        if (activeParse !== parse) return;
+        activeParse = null;
+        handleParseFailure(error);
+      });
+    } catch (error) {
+      handleParseFailure(error);
+    }
+  }
+
+  /**
+   * Show a freshly parsed patch (after the duplicate check)
+   * @param {Object} parsedPatch - Result of PatchParser.parse
+   * @param {boolean} skipDuplicateCheck - Don't look for the patch in saved patches
+   */
+  function showParsedPatch(parsedPatch, skipDuplicateCheck) {
+    document.getElementById('file-sidebar')?.classList.remove('streaming');
 
+    try {
       // Check if this patch already exists in saved patches (if not already loaded from saved patches)
       if (!currentSavedPatchId && !skipDuplicateCheck) {
-        const existingPatch = StorageManager.findPatchByContent(parsedPatch.raw);
+        const existingPatch = StorageManager.findPatchByContent(parsedPatch.raw) ||
+          StorageManager.findPatchByBlobs(parsedPatch.files);
         if (existingPatch) {
           // Patch already exists - show options WITHOUT rendering yet
           hideLoading();
@@ -438,27 +602,39 @@ const Viewer = (() => {
       // Continue with normal rendering
       currentPatch = parsedPatch;
       currentSelectedFile = null; // Reset selected file for React viewer
+      currentCommitIndex = -1; // Show the whole series by default
+      exportSelection = null; // Everything is selected until the user changes it
+      applySources = null; // Supplied files were picked for the previous patch
+      applyResult = null;
 
       // Show viewer section
       showViewerSection();
 
       // Render everything
+      renderCommitNavigator();
       renderMetadata(parsedPatch.metadata);
+      renderParseProblems(parsedPatch.diagnostics);
       renderStatistics(parsedPatch.stats);
-      renderDiff(parsedPatch.raw);
-      renderFileTree(parsedPatch.files);
+      renderDiff(getActiveDiffText());
+      renderFileTree(getActiveFiles());
 
       // Handle permalink if in URL
       const file = URLHandler.getFileFromURL();
       const line = URLHandler.getLineFromURL();
+      const fileIndex = findFileIndexByBlob(file, URLHandler.getBlobFromURL());
       if (file && line) {
-        setTimeout(() => navigateToFileLine(file, line), 500);
+        setTimeout(() => navigateToFileLine(file, line, fileIndex), 500);
       } else if (file) {
-        setTimeout(() => navigateToFile(file), 500);
+        setTimeout(() => navigateToFile(file, fileIndex), 500);
       }
 
       hideLoading();
-      showToast('Patch loaded successfully', 'success');
+      if (parsedPatch.diagnostics.length > 0) {
+        const count = parsedPatch.diagnostics.length;
+        showToast(`Patch loaded with ${count} parse problem${count !== 1 ? 's' : ''}`, 'warning');
+      } else {
+        showToast('Patch loaded successfully', 'success');
+      }
       
       // Prompt to save if this is a new patch
       if (!currentSavedPatchId) {
@@ -468,10 +644,55 @@ const Viewer = (() => {
       // Update save button state
       updateSaveButtonState();
     } catch (error) {
-      hideLoading();
-      console.error('Parse error:', error);
-      showToast('Failed to parse patch: ' + error.message, 'error');
+      handleParseFailure(error);
+    }
+  }
+
+  /**
+   * Show files from the background parser in the file tree while parsing continues
+   * @param {Array<Object>} files - File summaries (without hunks)
+   * @param {Object} progress - { parsed, total }
+   */
+  function handleStreamedFiles(files, progress) {
+    if (streamedFiles.length === 0) {
+      // Switch to the viewer with an empty diff; the loading overlay becomes a progress card
+      showViewerSection();
+      document.getElementById('loading')?.classList.add('streaming');
+      document.getElementById('metadata-card')?.classList.add('hidden');
+      document.getElementById('file-sidebar')?.classList.add('streaming');
+      const diffContainer = document.getElementById('diff-container');
+      if (diffContainer) diffContainer.innerHTML = '';
+    }
+
+    streamedFiles.push(...files);
+    renderFileTree(streamedFiles);
+
+    const message = document.getElementById('loading-message');
+    if (message) {
+      message.textContent = `Parsed ${progress.parsed}/${progress.total} files...`;
+    }
+  }
+
+  function cancelParse() {
+    activeParse?.cancel();
+  }
+
+  function handleParseFailure(error) {
+    hideLoading();
+    document.getElementById('file-sidebar')?.classList.remove('streaming');
+
+    if (error.cancelled) {
+      showInputSection();
+      showToast('Parsing cancelled', 'info');
+      return;
+    }
+
+    // Files may already have been streamed into the viewer
+    if (!currentPatch && streamedFiles.length > 0) {
+      showInputSection();
     }
+    console.error('Parse error:', error);
+    showToast('Failed to parse patch: ' + error.message, 'error');
   }
 
   function loadPatchFromURL() {
@@ -524,15 +745,241 @@ const Viewer = (() => {
     loadPatchFromText(patch.data);
   }
 
+  // ============================================
+  // Commit Series
+  // ============================================
+
+  /**
+   * Get the selected commit of a series, or null when showing all commits
+   * @returns {Object|null} Commit entry
+   */
+  function getActiveCommit() {
+    if (!currentPatch || currentCommitIndex < 0) return null;
+    return currentPatch.commits[currentCommitIndex] || null;
+  }
+
+  /**
+   * Get the files of the selected commit (or the whole patch)
+   * @returns {Array<Object>} Parsed files
+   */
+  function getActiveFiles() {
+    const commit = getActiveCommit();
+    return commit ? commit.files : currentPatch.files;
+  }
+
+  /**
+   * Get the raw diff text of the selected commit (or the whole patch)
+   * @returns {string} Patch text
+   */
+  function getActiveDiffText() {
+    const commit = getActiveCommit();
+    return commit ? commit.diffText : currentPatch.diffText;
+  }
+
+  function renderCommitNavigator() {
+    const navigator = document.getElementById('commit-navigator');
+    const select = document.getElementById('commit-select');
+    if (!navigator || !select) return;
+
+    const commits = currentPatch ? currentPatch.commits : [];
+    if (commits.length <= 1) {
+      navigator.classList.add('hidden');
+      return;
+    }
+
+    navigator.classList.remove('hidden');
+
+    let html = `<option value="-1">All commits (${commits.length})</option>`;
+    commits.forEach((commit, index) => {
+      const subject = commit.metadata.subject || commit.metadata.message.split('\n')[0] || `Commit ${index + 1}`;
+      html += `<option value="${index}">${index + 1}/${commits.length}: ${escapeHtml(subject)}</option>`;
+    });
+    select.innerHTML = html;
+
+    updateCommitNavigatorState();
+  }
+
+  function updateCommitNavigatorState() {
+    const commits = currentPatch ? currentPatch.commits : [];
+    const select = document.getElementById('commit-select');
+    const prevBtn = document.getElementById('prev-commit-btn');
+    const nextBtn = document.getElementById('next-commit-btn');
+    const position = document.getElementById('commit-position');
+
+    if (select) select.value = String(currentCommitIndex);
+    if (prevBtn) prevBtn.disabled = currentCommitIndex < 0;
+    if (nextBtn) nextBtn.disabled = currentCommitIndex >= commits.length - 1;
+
+    if (position) {
+      const stats = getActiveCommit()?.stats || currentPatch?.stats;
+      position.textContent = stats ? `${stats.filesChanged} files • +${stats.additions} -${stats.deletions}` : '';
+    }
+  }
+
+  function selectCommit(index) {
+    if (!currentPatch || currentPatch.commits.length <= 1) return;
+    if (index < -1 || index >= currentPatch.commits.length) return;
+
+    currentCommitIndex = index;
+    currentSelectedFile = null;
+
+    const commit = getActiveCommit();
+    renderMetadata(commit ? commit.metadata : currentPatch.metadata);
+    renderStatistics(commit ? commit.stats : currentPatch.stats);
+    renderDiff(getActiveDiffText());
+    renderFileTree(getActiveFiles());
+    filterFiles();
+    updateCommitNavigatorState();
+  }
+
+  function navigateToNextCommit() {
+    if (!currentPatch || currentPatch.commits.length <= 1) return;
+    selectCommit(Math.min(currentCommitIndex + 1, currentPatch.commits.length - 1));
+  }
+
+  function navigateToPreviousCommit() {
+    if (!currentPatch || currentPatch.commits.length <= 1) return;
+    selectCommit(Math.max(currentCommitIndex - 1, -1));
+  }
+
+  // ============================================
+  // Parse Problems
+  // ============================================
+
+  function renderParseProblems(diagnostics) {
+    const panel = document.getElementById('parse-problems');
+    const summary = document.getElementById('parse-problems-summary');
+    const list = document.getElementById('parse-problems-list');
+    const source = document.getElementById('parse-problems-source');
+    if (!panel || !summary || !list || !source) return;
+
+    source.classList.add('hidden');
+    source.innerHTML = '';
+
+    if (!diagnostics || diagnostics.length === 0) {
+      panel.classList.add('hidden');
+      list.innerHTML = '';
+      return;
+    }
+
+    const errorCount = diagnostics.filter(d => d.severity === 'error').length;
+    const warningCount = diagnostics.length - errorCount;
+    const counts = [];
+    if (errorCount > 0) counts.push(`${errorCount} error${errorCount !== 1 ? 's' : ''}`);
+    if (warningCount > 0) counts.push(`${warningCount} warning${warningCount !== 1 ? 's' : ''}`);
+
+    summary.textContent = `Parse problems (${counts.join(', ')})`;
+    panel.classList.remove('hidden');
+    panel.open = errorCount > 0;
+
+    list.innerHTML = diagnostics.map((diagnostic, index) => `
+      <li>
+        <button class="parse-problem ${diagnostic.severity}" data-index="${index}" title="Show line ${diagnostic.line} of the raw patch">
+          <span class="parse-problem-line">Line ${diagnostic.line}</span>
+          <span class="parse-problem-message">${escapeHtml(diagnostic.message)}</span>
+          ${diagnostic.filePath ? `<span class="parse-problem-file">${escapeHtml(diagnostic.filePath)}</span>` : ''}
+        </button>
+      </li>
+    `).join('');
+
+    list.querySelectorAll('.parse-problem').forEach(item => {
+      item.addEventListener('click', () => {
+        list.querySelectorAll('.parse-problem').forEach(other => other.classList.toggle('active', other === item));
+        showRawPatchLines(diagnostics[parseInt(item.dataset.index)].line);
+      });
+    });
+  }
+
+  /**
+   * Show the raw patch around a line, with that line highlighted
+   * @param {number} lineNumber - 1-based line number in the raw patch
+   */
+  function showRawPatchLines(lineNumber) {
+    const source = document.getElementById('parse-problems-source');
+    if (!source || !currentPatch) return;
+
+    const lines = currentPatch.raw.split('\n');
+    const first = Math.max(1, lineNumber - 8);
+    const last = Math.min(lines.length, lineNumber + 8);
+    const width = String(last).length;
+
+    let html = '';
+    for (let n = first; n <= last; n++) {
+      const lineClass = n === lineNumber ? 'raw-line current' : 'raw-line';
+      html += `<span class="${lineClass}"><span class="raw-line-num">${String(n).padStart(width)}</span>${escapeHtml(lines[n - 1])}</span>\n`;
+    }
+
+    source.innerHTML = html;
+    source.classList.remove('hidden');
+    source.querySelector('.raw-line.current')?.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+  }
+
   // ============================================
   // Rendering
   // ============================================
 
+  /**
+   * Render the parsed [PATCH v2 1/3] subject prefix as badges
+   * @param {Object} prefix - Subject prefix from PatchParser
+   * @returns {string} Badge HTML
+   */
+  function renderSubjectPrefix(prefix) {
+    const badges = [];
+    if (prefix.rfc) badges.push('<span class="subject-badge rfc">RFC</span>');
+    if (prefix.resend) badges.push('<span class="subject-badge resend">RESEND</span>');
+    if (prefix.version) badges.push(`<span class="subject-badge">v${prefix.version}</span>`);
+    if (prefix.index !== null) badges.push(`<span class="subject-badge">${prefix.index}/${prefix.total}</span>`);
+    prefix.tags.forEach(tag => badges.push(`<span class="subject-badge">${escapeHtml(tag)}</span>`));
+
+    if (badges.length === 0) return '';
+    return `<div class="commit-subject-prefix" title="${escapeHtml(prefix.raw)}">${badges.join('')}</div>`;
+  }
+
+  /**
+   * Render commit trailers (Signed-off-by, Fixes, ...) as a labeled list
+   * @param {Array<Object>} trailers - Trailers from PatchParser
+   * @returns {string} List HTML
+   */
+  function renderTrailers(trailers) {
+    let html = '<dl class="commit-trailers">';
+
+    trailers.forEach(trailer => {
+      let value = escapeHtml(trailer.value);
+      if (trailer.email) {
+        value = `${escapeHtml(trailer.name)} <a href="mailto:${escapeHtml(trailer.email)}">&lt;${escapeHtml(trailer.email)}&gt;</a>`;
+      } else if (trailer.commit) {
+        value = `<code title="${escapeHtml(trailer.commit)}">${escapeHtml(trailer.commit.substring(0, 12))}</code>` +
+          (trailer.subject ? ` ${escapeHtml(trailer.subject)}` : '');
+      } else if (/^https?:\/\/\S+$/.test(trailer.value)) {
+        value = `<a href="${escapeHtml(trailer.value)}" target="_blank" rel="noopener noreferrer">${escapeHtml(trailer.value)}</a>`;
+      }
+
+      html += `<dt>${escapeHtml(trailer.key)}</dt><dd>${value}</dd>`;
+    });
+
+    html += '</dl>';
+    return html;
+  }
+
+  function getSourceFormatLabel(format) {
+    const labels = {
+      git: 'Git',
+      hg: 'Mercurial',
+      svn: 'Subversion',
+      perforce: 'Perforce',
+      context: 'Context diff',
+      unified: 'Unified diff',
+      diffstat: 'Diffstat only',
+    };
+    return labels[format] || format;
+  }
+
   function renderMetadata(metadata) {
     const metadataCard = document.getElementById('metadata-card');
     if (!metadataCard) return;
 
-    if (!metadata.commitHash && !metadata.author && !metadata.message) {
+    // Patches from other tools usually carry no metadata, but the format is still worth showing
+    if (!metadata.commitHash && !metadata.author && !metadata.message && metadata.sourceFormat === 'git') {
       metadataCard.classList.add('hidden');
       return;
     }
@@ -550,8 +997,25 @@ const Viewer = (() => {
       html += `<div class="commit-hash" title="${metadata.commitHash}">${shortHash}</div>`;
     }
 
+    if (metadata.parents && metadata.parents.length > 1) {
+      html += `<div class="commit-merge" title="Merge commit">Merge of ${metadata.parents.map(parent => `<code>${escapeHtml(parent)}</code>`).join(' + ')}</div>`;
+    }
+
+    if (metadata.subjectPrefix) {
+      html += renderSubjectPrefix(metadata.subjectPrefix);
+    }
+
     if (metadata.message) {
-      html += `<div class="commit-message">${escapeHtml(metadata.message)}</div>`;
+      const subject = metadata.subject || metadata.message.split('\n')[0];
+      html += `<div class="commit-message">${escapeHtml(subject)}</div>`;
+    }
+
+    if (metadata.body) {
+      html += `<div class="commit-body">${escapeHtml(metadata.body)}</div>`;
+    }
+
+    if (metadata.trailers && metadata.trailers.length > 0) {
+      html += renderTrailers(metadata.trailers);
     }
 
     html += '<div class="commit-meta">';
@@ -578,6 +1042,10 @@ const Viewer = (() => {
       html += '</div>';
     }
 
+    if (metadata.sourceFormat) {
+      html += `<div class="commit-source-format" title="Source format">${escapeHtml(getSourceFormatLabel(metadata.sourceFormat))}</div>`;
+    }
+
     if (metadata.refs && metadata.refs.length > 0) {
       html += '<div class="commit-refs">';
       metadata.refs.forEach(ref => {
@@ -617,6 +1085,24 @@ const Viewer = (() => {
     filesValue.textContent = stats.filesChanged;
     additionsValue.textContent = stats.additions;
     deletionsValue.textContent = stats.deletions;
+
+    renderWhitespaceStat();
+  }
+
+  /**
+   * Show how many lines the whitespace-insensitive mode turned into context
+   */
+  function renderWhitespaceStat() {
+    const badge = document.getElementById('stat-whitespace');
+    const value = document.getElementById('stat-whitespace-value');
+    if (!badge || !value || !currentPatch) return;
+
+    const count = isIgnoringWhitespace()
+      ? getActiveFiles().reduce((sum, file) => sum + (getDisplayFile(file).whitespaceChanges || 0), 0)
+      : 0;
+
+    value.textContent = `${count} line${count === 1 ? '' : 's'} changed only in whitespace`;
+    badge.classList.toggle('hidden', !isIgnoringWhitespace());
   }
 
   function renderDiff(patchText) {
@@ -626,11 +1112,29 @@ const Viewer = (() => {
     // Route to appropriate renderer based on viewer type
     if (currentViewerType === 'modern') {
       renderWithReactDiffViewer();
+    } else if (isIgnoringWhitespace()) {
+      // diff2html draws the re-paired hunks rather than the patch as written
+      renderWithDiff2Html(PatchParser.buildUnifiedDiff(getActiveFiles().map(getDisplayFile)));
     } else {
       renderWithDiff2Html(patchText);
     }
   }
 
+  function isIgnoringWhitespace() {
+    return whitespaceMode !== 'show' || ignoreBlankLines;
+  }
+
+  /**
+   * Get a file as it should be drawn: with whitespace-only changes re-paired as
+   * context when a whitespace-insensitive mode is on
+   * @param {Object} file - Parsed file
+   * @returns {Object} The file, or its whitespace-insensitive view
+   */
+  function getDisplayFile(file) {
+    if (!isIgnoringWhitespace() || DiffPanels.hasPanel(file)) return file;
+    return PatchParser.ignoreWhitespace(file, { whitespace: whitespaceMode, blankLines: ignoreBlankLines });
+  }
+
   function renderWithDiff2Html(patchText) {
     const diffContainer = document.getElementById('diff-container');
     if (!diffContainer) return;
@@ -646,17 +1150,15 @@ const Viewer = (() => {
         drawFileList: false,
         matching: 'lines',
         outputFormat: currentView === 'unified' ? 'line-by-line' : 'side-by-side',
-        highlight: true,
+        highlight: false, // Lines are highlighted with Prism in decorateClassicView
         colorScheme: currentMode, // 'dark' or 'light'
       };
 
       const diff2htmlUi = new Diff2HtmlUI(diffContainer, patchText, configuration);
       diff2htmlUi.draw();
 
-      // Apply syntax highlighting with Prism
-      setTimeout(() => {
-        Prism.highlightAllUnder(diffContainer);
-      }, 100);
+      // Add file badges, highlighted lines and panels for files diff2html can't draw
+      decorateClassicView(diffContainer);
 
     } catch (error) {
       console.error('Diff render error:', error);
@@ -665,91 +1167,427 @@ const Viewer = (() => {
     }
   }
 
-  function renderWithReactDiffViewer() {
-    const diffContainer = document.getElementById('diff-container');
-    if (!diffContainer) return;
+  /**
+   * Add file badges to diff2html headers and replace its output with a
+   * custom panel for files that need one
+   * @param {HTMLElement} diffContainer - Classic viewer container
+   */
+  function decorateClassicView(diffContainer) {
+    if (!currentPatch) return;
 
-    // Check if ReactDiffAdapter is available
-    console.log('🔍 Checking ReactDiffAdapter:', {
-      exists: !!window.ReactDiffAdapter,
-      isAvailable: window.ReactDiffAdapter ? window.ReactDiffAdapter.isAvailable() : 'N/A'
+    indexClassicFileWrappers(diffContainer);
+
+    getActiveFiles().forEach((file, fileIndex) => {
+      const badges = DiffPanels.renderBadges(file) + DiffPanels.renderBlobIds(file);
+      if (!badges) return;
+
+      const header = getClassicFileWrapper(fileIndex)?.querySelector('.d2h-file-header');
+      header?.insertAdjacentHTML('beforeend', badges);
     });
-    if (!window.ReactDiffAdapter || !window.ReactDiffAdapter.isAvailable()) {
-      // Check if React viewer is still loading
-      if (window.reactDiffViewerLoading) {
-        diffContainer.innerHTML = `
-          <div style="padding: 20px; text-align: center; color: var(--text-secondary);">
-            <p>Loading Modern Viewer...</p>
-            <p style="font-size: 12px; margin-top: 10px;">Please wait a moment...</p>
-          </div>
-        `;
-        // Wait for it to load and try again
-        window.addEventListener('reactDiffViewerLoaded', () => {
-          renderWithReactDiffViewer();
-        }, { once: true });
-        return;
+
+    // Redraw line contents with syntax highlighting and the parser's intra-line
+    // changes; languages whose Prism component isn't loaded yet are redrawn once it is
+    getActiveFiles().forEach((file, fileIndex) => {
+      if (DiffPanels.hasPanel(file)) return;
+
+      const wrapper = getClassicFileWrapper(fileIndex);
+      if (!wrapper) return;
+
+      const language = detectFileLanguage(file);
+      const displayFile = getDisplayFile(file);
+      renderClassicLines(wrapper, displayFile, language);
+
+      if (!SyntaxHighlighter.isLoaded(language)) {
+        SyntaxHighlighter.ensureLanguage(language).then(loaded => {
+          if (loaded && wrapper.isConnected) renderClassicLines(wrapper, displayFile, language);
+        });
       }
-      
-      console.error('ReactDiffAdapter not available');
-      diffContainer.innerHTML = `
-        <div style="padding: 20px; text-align: center; color: var(--text-secondary);">
-          <p>React Diff Viewer is not available</p>
-          <p style="font-size: 12px; margin-top: 10px;">Please switch to Classic viewer or refresh the page.</p>
-        </div>
-      `;
-      return;
-    }
+    });
 
-    // If no file is selected, show placeholder
-    if (!currentSelectedFile && currentPatch && currentPatch.files) {
-      window.ReactDiffAdapter.renderPlaceholder(diffContainer);
-      return;
-    }
+    getActiveFiles().forEach((file, fileIndex) => {
+      if (!DiffPanels.hasPanel(file)) return;
 
-    // Render the selected file
-    if (currentSelectedFile) {
-      const isDarkMode = ThemeManager.getCurrentMode() === 'dark';
-      const language = PatchParser.detectLanguage(currentSelectedFile.newPath || currentSelectedFile.oldPath);
-      
-      window.ReactDiffAdapter.render(diffContainer, currentSelectedFile, {
-        splitView: currentView === 'side-by-side',
-        isDarkMode: isDarkMode,
-        language: language
+      const wrapper = getClassicFileWrapper(fileIndex);
+      wrapper.querySelectorAll('.d2h-files-diff, .d2h-file-diff, .diff-panel').forEach(el => el.remove());
+
+      const panel = document.createElement('div');
+      panel.className = 'diff-panel';
+      panel.innerHTML = DiffPanels.render(file);
+      wrapper.appendChild(panel);
+      DiffPanels.bind(panel);
+    });
+
+    renderClassicHunkCheckboxes();
+  }
+
+  /**
+   * Rewrite the line contents of a diff2html file: syntax highlighting, the parser's
+   * intra-line changes (in place of diff2html's own word diff) and no-newline markers
+   * @param {HTMLElement} wrapper - diff2html file wrapper
+   * @param {Object} file - Parsed file
+   * @param {string} language - Prism language id
+   */
+  function renderClassicLines(wrapper, file, language) {
+    const inlineDiffs = inlineDiffMode !== 'none' ? PatchParser.getInlineDiffs(file, inlineDiffMode) : null;
+    const moves = getMovedCode();
+
+    file.hunks.forEach(hunk => {
+      hunk.lines.forEach(line => {
+        // Context lines are drawn on both sides in the side-by-side view
+        const rows = new Set();
+        if (line.type !== 'add') rows.add(findClassicLineRow(wrapper, 'old', line.oldLineNumber));
+        if (line.type !== 'del') rows.add(findClassicLineRow(wrapper, 'new', line.newLineNumber));
+
+        // Edits within moved lines are always shown, whatever the intra-line setting
+        const move = moves.lines.get(line);
+        const segments = move?.edited ? move.segments : inlineDiffs?.get(line);
+        const className = line.type === 'add' ? 'inline-diff-add' : 'inline-diff-del';
+        let html = segments
+          ? segments.map(segment => segment.changed
+            ? `<span class="${className}">${SyntaxHighlighter.highlight(segment.text, language)}</span>`
+            : SyntaxHighlighter.highlight(segment.text, language)).join('')
+          : SyntaxHighlighter.highlight(line.content, language);
+        if (line.noNewline) html += DiffPanels.renderNoNewlineMarker();
+        if (move?.first) html += renderMovedJump(move);
+
+        rows.forEach(row => {
+          const content = row?.querySelector('.d2h-code-line-ctn');
+          if (content) content.innerHTML = html;
+          row?.classList.toggle('whitespace-only', !!line.whitespaceOnly);
+          row?.classList.toggle('moved-old', move?.side === 'old');
+          row?.classList.toggle('moved-new', move?.side === 'new');
+          row?.classList.toggle('moved-alt', !!move && move.block.id % 2 === 1);
+        });
       });
-    }
+    });
   }
 
-  function renderFileTree(files) {
-    if (filesViewMode === 'tree') {
-      renderFileTreeStructured(files);
-    } else {
-      renderFileTreeFlat(files);
-    }
+  /**
+   * Moved-code blocks of the files being viewed (computed once per files array)
+   * @returns {Object} PatchParser.detectMovedCode result
+   */
+  function getMovedCode() {
+    return PatchParser.detectMovedCode(getActiveFiles());
   }
 
-  function renderFileTreeFlat(files) {
-    const sidebar = document.querySelector('.sidebar-content');
-    if (!sidebar) return;
+  /**
+   * Say where the other side of a moved block is
+   * @param {Object} move - Moved line info from getMovedCode().lines
+   * @returns {string} Label such as "Moved to src/util.js:12"
+   */
+  function describeMove(move) {
+    const { block } = move;
+    const toNew = move.side === 'old';
+    const fileIndex = toNew ? block.newFileIndex : block.oldFileIndex;
+    const file = getActiveFiles()[fileIndex];
+    const path = file.newPath !== '/dev/null' ? file.newPath : file.oldPath;
+    const lineNumber = toNew ? block.newStart : block.oldStart;
+    const where = block.oldFileIndex === block.newFileIndex ? `line ${lineNumber}` : `${path}:${lineNumber}`;
+    return `${toNew ? 'Moved to' : 'Moved from'} ${where}${block.edited ? ' (with edits)' : ''}`;
+  }
 
-    let html = '';
+  function renderMovedJump(move) {
+    return `<button type="button" class="moved-jump" data-move="${move.block.id}" data-side="${move.side}" title="Jump to the other side of this moved block">↪ ${escapeHtml(describeMove(move))}</button>`;
+  }
 
-    files.forEach((file, index) => {
-      const path = file.newPath !== '/dev/null' ? file.newPath : file.oldPath;
-      const filename = path.split('/').pop();
-      const fileId = `file-${index}`;
+  /**
+   * Lines of a file that belong to moved blocks, as the modern viewer draws them
+   * @param {Object} file - Parsed file
+   * @returns {Map} Hunk line -> { className, segments, move, side, jumpLabel }
+   */
+  function getMovedLineDecorations(file) {
+    const moves = getMovedCode();
+    const decorations = new Map();
+
+    file.hunks.forEach(hunk => hunk.lines.forEach(line => {
+      const move = moves.lines.get(line);
+      if (!move) return;
+      decorations.set(line, {
+        className: `moved-line moved-${move.side}${move.block.id % 2 === 1 ? ' moved-alt' : ''}`,
+        segments: move.edited ? move.segments : null,
+        move: move.block.id,
+        side: move.side,
+        jumpLabel: move.first ? describeMove(move) : null,
+      });
+    }));
+    return decorations;
+  }
 
-      let iconType = file.type;
-      if (iconType === 'modified') iconType = 'modified';
+  /**
+   * Jump from one side of a moved block to the other
+   * @param {MouseEvent} e - Click event inside the diff container
+   */
+  function handleMovedJump(e) {
+    const link = e.target.closest('.moved-jump');
+    if (!link || !currentPatch) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    const block = getMovedCode().blocks[Number(link.dataset.move)];
+    if (!block) return;
+
+    const side = link.dataset.side === 'old' ? 'new' : 'old';
+    const fileIndex = side === 'new' ? block.newFileIndex : block.oldFileIndex;
+    const file = getActiveFiles()[fileIndex];
+    const path = file.newPath !== '/dev/null' ? file.newPath : file.oldPath;
+    navigateToFileLine(path, side === 'new' ? block.newStart : block.oldStart, fileIndex, side);
+
+    if (currentViewerType === 'modern') {
+      // React draws the file asynchronously
+      setTimeout(() => {
+        const target = document.querySelector(`.moved-line[data-move="${block.id}"][data-side="${side}"]`);
+        target?.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      }, 100);
+    }
+  }
+
+  /**
+   * Detect a file's language, applying the user's overrides
+   * @param {Object} file - Parsed file
+   * @returns {string} Prism language id
+   */
+  function detectFileLanguage(file) {
+    return PatchParser.detectLanguage(file, { overrides: languageOverrides });
+  }
+
+  /**
+   * Copy a blob ID or a link to a file from the buttons in a file header
+   * @param {MouseEvent} e - Click event inside the diff container
+   */
+  async function handleFileHeaderAction(e) {
+    const copyBtn = e.target.closest('.blob-copy-btn');
+    const linkBtn = e.target.closest('.file-link-btn');
+    if ((!copyBtn && !linkBtn) || !currentPatch) return;
+
+    e.preventDefault();
+    e.stopPropagation();
+
+    try {
+      const text = copyBtn
+        ? copyBtn.dataset.copy
+        : URLHandler.generatePermalink(currentPatch.raw, linkBtn.dataset.file, null, { blob: linkBtn.dataset.blob });
+      const success = await URLHandler.copyToClipboard(text);
+      const label = copyBtn ? 'Blob ID' : 'Link to file';
+      showToast(success ? `${label} copied to clipboard` : `Failed to copy ${label.toLowerCase()}`, success ? 'success' : 'error');
+    } catch (error) {
+      showToast('Failed to generate link: ' + error.message, 'error');
+    }
+  }
+
+  /**
+   * Find the file a permalink points to when its path appears more than once
+   * @param {string|null} filePath - File path from the URL
+   * @param {string|null} blob - Blob ID from the URL (the old one for deleted files)
+   * @returns {number|undefined} Index in the active files, or undefined to match by path
+   */
+  function findFileIndexByBlob(filePath, blob) {
+    if (!filePath || !blob) return undefined;
+
+    const sameBlob = id => !!id && (id.startsWith(blob) || blob.startsWith(id));
+    const index = getActiveFiles().findIndex(file =>
+      (file.newPath === filePath || file.oldPath === filePath) &&
+      (file.newPath === '/dev/null' ? sameBlob(file.oldBlob) : sameBlob(file.newBlob))
+    );
+    return index !== -1 ? index : undefined;
+  }
+
+  /**
+   * Tag each diff2html file wrapper with the index of its active file, so files
+   * pair with their wrappers even when a series changes the same path more than once.
+   * diff2html draws one wrapper per file in patch order, except for stats-only files
+   * when it draws the patch as written (they have no diff there); those get a
+   * wrapper of our own in their place.
+   * @param {HTMLElement} diffContainer - Classic viewer container
+   */
+  function indexClassicFileWrappers(diffContainer) {
+    const files = getActiveFiles();
+    const wrappers = Array.from(diffContainer.querySelectorAll('.d2h-file-wrapper'));
+    const skipsStatsOnly = wrappers.length < files.length;
+    const parent = diffContainer.querySelector('.d2h-wrapper') || diffContainer;
+    let next = 0;
+
+    files.forEach((file, fileIndex) => {
+      let wrapper = skipsStatsOnly && file.statsOnly ? null : wrappers[next++];
+
+      if (!wrapper) {
+        const path = file.newPath !== '/dev/null' ? file.newPath : file.oldPath;
+        wrapper = document.createElement('div');
+        wrapper.className = 'd2h-file-wrapper';
+        wrapper.innerHTML = `
+          <div class="d2h-file-header">
+            <span class="d2h-file-name-wrapper"><span class="d2h-file-name">${escapeHtml(path)}</span></span>
+          </div>
+        `;
+        parent.insertBefore(wrapper, wrappers[next]?.parentNode === parent ? wrappers[next] : null);
+      }
+
+      wrapper.dataset.fileIndex = fileIndex;
+    });
+  }
+
+  /**
+   * Get the diff2html wrapper of an active file
+   * @param {number} fileIndex - Index in the active files
+   * @returns {HTMLElement|null} The file's wrapper
+   */
+  function getClassicFileWrapper(fileIndex) {
+    const diffContainer = document.getElementById('diff-container');
+    return diffContainer?.querySelector(`.d2h-file-wrapper[data-file-index="${fileIndex}"]`) || null;
+  }
+
+  // Rows of each diff2html file wrapper by side and line number, built on first lookup
+  const classicRowIndex = new WeakMap();
+
+  /**
+   * Find a diff2html table row by line number
+   * @param {HTMLElement} wrapper - diff2html file wrapper
+   * @param {string} side - 'old' or 'new'
+   * @param {number} lineNumber - Line number on that side
+   * @returns {HTMLElement|null} Table row
+   */
+  function findClassicLineRow(wrapper, side, lineNumber) {
+    let index = classicRowIndex.get(wrapper);
+    if (!index) {
+      index = indexClassicLineRows(wrapper);
+      classicRowIndex.set(wrapper, index);
+    }
+    return index[side].get(String(lineNumber)) || null;
+  }
+
+  /**
+   * Map line numbers to table rows for both sides of a diff2html file
+   * @param {HTMLElement} wrapper - diff2html file wrapper
+   * @returns {Object} { old: Map, new: Map }
+   */
+  function indexClassicLineRows(wrapper) {
+    const index = { old: new Map(), new: new Map() };
+    const addCells = (side, cells) => {
+      for (const cell of cells) {
+        const target = cell.textContent.trim();
+        if (target && !index[side].has(target)) index[side].set(target, cell.closest('tr'));
+      }
+    };
+
+    const sideDiffs = wrapper.querySelectorAll('.d2h-file-side-diff');
+    if (sideDiffs.length === 2) {
+      // Side-by-side: old file on the left, new file on the right
+      addCells('old', sideDiffs[0].querySelectorAll('.d2h-code-side-linenumber'));
+      addCells('new', sideDiffs[1].querySelectorAll('.d2h-code-side-linenumber'));
+    } else {
+      // Line-by-line: each row has an old (line-num1) and new (line-num2) column
+      addCells('old', wrapper.querySelectorAll('.line-num1'));
+      addCells('new', wrapper.querySelectorAll('.line-num2'));
+    }
+    return index;
+  }
+
+  function renderWithReactDiffViewer() {
+    const diffContainer = document.getElementById('diff-container');
+    if (!diffContainer) return;
+
+    // Files like combined diffs are drawn by DiffPanels instead of react-diff-viewer
+    if (currentSelectedFile && DiffPanels.hasPanel(currentSelectedFile)) {
+      window.ReactDiffAdapter?.unmount();
+      diffContainer.innerHTML = DiffPanels.renderFileHeader(currentSelectedFile) +
+        `<div class="diff-panel">${DiffPanels.render(currentSelectedFile)}</div>`;
+      DiffPanels.bind(diffContainer);
+      return;
+    }
+
+    // Check if ReactDiffAdapter is available
+    console.log('🔍 Checking ReactDiffAdapter:', {
+      exists: !!window.ReactDiffAdapter,
+      isAvailable: window.ReactDiffAdapter ? window.ReactDiffAdapter.isAvailable() : 'N/A'
+    });
+    if (!window.ReactDiffAdapter || !window.ReactDiffAdapter.isAvailable()) {
+      // Check if React viewer is still loading
+      if (window.reactDiffViewerLoading) {
+        diffContainer.innerHTML = `
+          <div style="padding: 20px; text-align: center; color: var(--text-secondary);">
+            <p>Loading Modern Viewer...</p>
+            <p style="font-size: 12px; margin-top: 10px;">Please wait a moment...</p>
+          </div>
+        `;
+        // Wait for it to load and try again
+        window.addEventListener('reactDiffViewerLoaded', () => {
+          renderWithReactDiffViewer();
+        }, { once: true });
+        return;
+      }
+      
+      console.error('ReactDiffAdapter not available');
+      diffContainer.innerHTML = `
+        <div style="padding: 20px; text-align: center; color: var(--text-secondary);">
+          <p>React Diff Viewer is not available</p>
+          <p style="font-size: 12px; margin-top: 10px;">Please switch to Classic viewer or refresh the page.</p>
+        </div>
+      `;
+      return;
+    }
+
+    // If no file is selected, show placeholder
+    if (!currentSelectedFile && currentPatch && currentPatch.files) {
+      window.ReactDiffAdapter.renderPlaceholder(diffContainer);
+      return;
+    }
+
+    // Render the selected file
+    if (currentSelectedFile) {
+      const isDarkMode = ThemeManager.getCurrentMode() === 'dark';
+      const language = detectFileLanguage(currentSelectedFile);
+
+      // Mount React below the file header (rename/copy/mode badges)
+      window.ReactDiffAdapter.unmount();
+      diffContainer.innerHTML = DiffPanels.renderFileHeader(currentSelectedFile) +
+        renderHunkSelector(currentSelectedFile) + '<div class="react-diff-root"></div>';
+      updateExportControls();
+
+      window.ReactDiffAdapter.render(diffContainer.querySelector('.react-diff-root'), getDisplayFile(currentSelectedFile), {
+        splitView: currentView === 'side-by-side',
+        isDarkMode: isDarkMode,
+        language: language,
+        inlineDiff: inlineDiffMode,
+        movedLines: getMovedLineDecorations(currentSelectedFile)
+      });
+    }
+  }
+
+  function renderFileTree(files) {
+    if (filesViewMode === 'tree') {
+      renderFileTreeStructured(files);
+    } else {
+      renderFileTreeFlat(files);
+    }
+    updateExportControls();
+  }
+
+  function renderFileTreeFlat(files) {
+    const sidebar = document.querySelector('.sidebar-content');
+    if (!sidebar) return;
+
+    let html = '';
+
+    files.forEach((file, index) => {
+      const path = file.newPath !== '/dev/null' ? file.newPath : file.oldPath;
+      const filename = path.split('/').pop();
+      const fileId = `file-${index}`;
+
+      let iconType = file.type;
+      if (iconType === 'modified') iconType = 'modified';
       if (iconType === 'added') iconType = 'added';
       if (iconType === 'deleted') iconType = 'deleted';
       if (iconType === 'renamed') iconType = 'renamed';
+      if (iconType === 'copied') iconType = 'copied';
 
       html += `
         <div class="file-tree-item" data-file="${escapeHtml(path)}" data-file-id="${fileId}">
+          ${renderFileCheckbox(file, index)}
           <svg class="file-icon ${iconType}" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             ${getFileIcon(iconType)}
           </svg>
           <span class="file-name" title="${escapeHtml(path)}">${escapeHtml(filename)}</span>
+          ${DiffPanels.renderBadges(file)}
           <span class="file-stats">
             ${file.additions > 0 ? `<span class="additions">+${file.additions}</span>` : ''}
             ${file.deletions > 0 ? `<span class="deletions">-${file.deletions}</span>` : ''}
@@ -760,11 +1598,11 @@ const Viewer = (() => {
 
     sidebar.innerHTML = html;
 
-    // Add click handlers
+    // Add click handlers (the export checkboxes have their own change handler)
     sidebar.querySelectorAll('.file-tree-item').forEach(item => {
-      item.addEventListener('click', () => {
-        const filePath = item.dataset.file;
-        navigateToFile(filePath);
+      item.addEventListener('click', (e) => {
+        if (e.target.closest('.export-select')) return;
+        navigateToFile(item.dataset.file, getFileIndex(item));
       });
     });
   }
@@ -784,19 +1622,24 @@ const Viewer = (() => {
     sidebar.querySelectorAll('.file-tree-folder').forEach(folder => {
       folder.addEventListener('click', (e) => {
         e.stopPropagation();
+        if (e.target.closest('.export-select')) return;
         toggleFolder(folder);
       });
     });
 
     // Add click handlers for files
     sidebar.querySelectorAll('.file-tree-item').forEach(item => {
-      item.addEventListener('click', () => {
-        const filePath = item.dataset.file;
-        navigateToFile(filePath);
+      item.addEventListener('click', (e) => {
+        if (e.target.closest('.export-select')) return;
+        navigateToFile(item.dataset.file, getFileIndex(item));
       });
     });
   }
 
+  function getFileIndex(item) {
+    return parseInt(item.dataset.fileId.replace('file-', ''), 10);
+  }
+
   function buildFolderTree(files) {
     const tree = {
       name: '',
@@ -853,6 +1696,7 @@ const Viewer = (() => {
              data-folder="${escapeHtml(folderPath)}" 
              data-depth="${depth}"
              style="--depth: ${depth}">
+          ${selectionMode ? `<input type="checkbox" class="export-select" data-folder-select="${escapeHtml(folderPath)}" aria-label="Export ${escapeHtml(folderPath)}/">` : ''}
           <svg class="expand-icon" width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             <polyline points="9 18 15 12 9 6"></polyline>
           </svg>
@@ -881,10 +1725,12 @@ const Viewer = (() => {
              data-depth="${depth}"
              data-parent="${escapeHtml(parentPath)}"
              style="--depth: ${depth}">
+          ${renderFileCheckbox(file, file.index)}
           <svg class="file-icon ${iconType}" width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
             ${getFileIcon(iconType)}
           </svg>
           <span class="file-name" title="${escapeHtml(file.path)}">${escapeHtml(file.filename)}</span>
+          ${DiffPanels.renderBadges(file)}
           <span class="file-stats">
             ${file.additions > 0 ? `<span class="additions">+${file.additions}</span>` : ''}
             ${file.deletions > 0 ? `<span class="deletions">-${file.deletions}</span>` : ''}
@@ -970,6 +1816,12 @@ const Viewer = (() => {
         return '<path d="M5 12h14"></path>';
       case 'renamed':
         return '<polyline points="17 1 21 5 17 9"></polyline><path d="M3 11V9a4 4 0 0 1 4-4h14"></path><polyline points="7 23 3 19 7 15"></polyline><path d="M21 13v2a4 4 0 0 1-4 4H3"></path>';
+      case 'copied':
+        return '<rect x="9" y="9" width="13" height="13" rx="2" ry="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>';
+      case 'submodule':
+        return '<circle cx="12" cy="12" r="4"></circle><line x1="1.05" y1="12" x2="7" y2="12"></line><line x1="17.01" y1="12" x2="22.96" y2="12"></line>';
+      case 'lfs':
+        return '<ellipse cx="12" cy="5" rx="9" ry="3"></ellipse><path d="M21 12c0 1.66-4 3-9 3s-9-1.34-9-3"></path><path d="M3 5v14c0 1.66 4 3 9 3s9-1.34 9-3V5"></path>';
       case 'modified':
       default:
         return '<path d="M14 2H6a2 2 0 0 0-2 2v16a2 2 0 0 0 2 2h12a2 2 0 0 0 2-2V8z"></path><polyline points="14 2 14 8 20 8"></polyline>';
@@ -980,17 +1832,20 @@ const Viewer = (() => {
   // Navigation
   // ============================================
 
-  function navigateToFile(filePath) {
-    // Update active state in sidebar
+  function navigateToFile(filePath, fileIndex) {
+    // Update active state in sidebar (paths can repeat across commits of a series)
+    const hasIndex = Number.isInteger(fileIndex);
     document.querySelectorAll('.file-tree-item').forEach(item => {
-      item.classList.toggle('active', item.dataset.file === filePath);
+      const isActive = hasIndex ? item.dataset.fileId === `file-${fileIndex}` : item.dataset.file === filePath;
+      item.classList.toggle('active', isActive);
     });
 
     // Different behavior based on viewer type
     if (currentViewerType === 'modern') {
       // For modern viewer, find and render the specific file
       if (currentPatch && currentPatch.files) {
-        const file = currentPatch.files.find(f => {
+        const files = getActiveFiles();
+        const file = hasIndex ? files[fileIndex] : files.find(f => {
           const path = f.newPath !== '/dev/null' ? f.newPath : f.oldPath;
           return path === filePath;
         });
@@ -1002,23 +1857,40 @@ const Viewer = (() => {
       }
     } else {
       // For classic viewer, scroll to the file header
-      const fileHeaders = document.querySelectorAll('.d2h-file-header');
-      
-      for (const header of fileHeaders) {
-        const fileNameSpan = header.querySelector('.d2h-file-name');
-        if (fileNameSpan && fileNameSpan.textContent.includes(filePath)) {
-          header.scrollIntoView({ behavior: 'smooth', block: 'start' });
-          header.classList.add('highlight');
-          setTimeout(() => header.classList.remove('highlight'), 1000);
-          break;
-        }
+      const header = getClassicFileWrapper(resolveFileIndex(filePath, fileIndex))?.querySelector('.d2h-file-header');
+      if (header) {
+        header.scrollIntoView({ behavior: 'smooth', block: 'start' });
+        header.classList.add('highlight');
+        setTimeout(() => header.classList.remove('highlight'), 1000);
       }
     }
   }
 
-  function navigateToFileLine(filePath, lineNumber) {
-    navigateToFile(filePath);
-    // Additional line navigation could be implemented here
+  function navigateToFileLine(filePath, lineNumber, fileIndex, side = 'new') {
+    navigateToFile(filePath, fileIndex);
+
+    // The classic view shows every file at once, so we can jump to the line itself
+    if (currentViewerType === 'modern') return;
+
+    const wrapper = getClassicFileWrapper(resolveFileIndex(filePath, fileIndex));
+    const row = wrapper && findClassicLineRow(wrapper, side, lineNumber);
+    if (row) {
+      row.scrollIntoView({ behavior: 'smooth', block: 'center' });
+      row.classList.add('highlight');
+      setTimeout(() => row.classList.remove('highlight'), 1000);
+    }
+  }
+
+  /**
+   * Get the index of the file to navigate to
+   * @param {string} filePath - File path
+   * @param {number} [fileIndex] - Index in the active files, when known
+   * @returns {number} The index, or that of the first file with the path (-1 if none)
+   */
+  function resolveFileIndex(filePath, fileIndex) {
+    if (Number.isInteger(fileIndex)) return fileIndex;
+    return getActiveFiles().findIndex(file =>
+      (file.newPath !== '/dev/null' ? file.newPath : file.oldPath) === filePath);
   }
 
   function navigateToNextFile() {
@@ -1046,16 +1918,29 @@ const Viewer = (() => {
   // ============================================
 
   function showInputSection() {
+    // A parse still streaming into the viewer would open it again when it finishes
+    if (activeParse) {
+      const parse = activeParse;
+      activeParse = null;
+      parse.cancel();
+      hideLoading();
+      document.getElementById('file-sidebar')?.classList.remove('streaming');
+    }
+
     document.getElementById('input-section')?.classList.remove('hidden');
     document.getElementById('viewer-section')?.classList.add('hidden');
     document.getElementById('new-patch-btn')?.classList.add('hidden');
     document.getElementById('share-btn')?.classList.add('hidden');
     document.body?.classList.remove('viewer-mode');
     document.getElementById('header-stats')?.classList.add('hidden');
+    document.getElementById('commit-navigator')?.classList.add('hidden');
+    document.getElementById('parse-problems')?.classList.add('hidden');
     URLHandler.clearURL();
     currentPatch = null;
     currentSavedPatchId = null;
     currentSelectedFile = null;
+    currentCommitIndex = -1;
+    exportSelection = null;
   }
 
   function showViewerSection() {
@@ -1071,6 +1956,7 @@ const Viewer = (() => {
     // Update view button states
     document.getElementById('unified-btn')?.classList.toggle('active', currentView === 'unified');
     document.getElementById('sidebyside-btn')?.classList.toggle('active', currentView === 'side-by-side');
+    updateInlineDiffButtons();
     document.body?.classList.add('viewer-mode');
   }
 
@@ -1084,14 +1970,52 @@ const Viewer = (() => {
 
     // Re-render diff if patch loaded
     if (currentPatch) {
-      renderDiff(currentPatch.raw);
+      renderDiff(getActiveDiffText());
+    }
+  }
+
+  /**
+   * Set how changes within modified lines are highlighted
+   * @param {string} mode - 'word', 'char' or 'none'
+   */
+  function setInlineDiffMode(mode) {
+    inlineDiffMode = mode;
+    localStorage.setItem('git-patch-viewer-inline-diff', mode);
+    updateInlineDiffButtons();
+
+    if (currentPatch) {
+      renderDiff(getActiveDiffText());
+    }
+  }
+
+  /**
+   * Set which whitespace changes are ignored, like git diff -b / -w / --ignore-blank-lines
+   * @param {string} mode - 'show', 'change' or 'all'
+   * @param {boolean} blankLines - Ignore added and deleted blank lines
+   */
+  function setWhitespaceMode(mode, blankLines) {
+    whitespaceMode = mode;
+    ignoreBlankLines = blankLines;
+    localStorage.setItem('git-patch-viewer-whitespace', mode);
+    localStorage.setItem('git-patch-viewer-ignore-blank-lines', String(blankLines));
+
+    if (currentPatch) {
+      renderWhitespaceStat();
+      renderDiff(getActiveDiffText());
     }
   }
 
+  function updateInlineDiffButtons() {
+    document.getElementById('inline-word-btn')?.classList.toggle('active', inlineDiffMode === 'word');
+    document.getElementById('inline-char-btn')?.classList.toggle('active', inlineDiffMode === 'char');
+    document.getElementById('inline-none-btn')?.classList.toggle('active', inlineDiffMode === 'none');
+  }
+
   function setViewerType(viewerType) {
     // Remember which file was selected before switching
     const activeFileItem = document.querySelector('.file-tree-item.active');
     const selectedFilePath = activeFileItem?.dataset?.file;
+    const selectedFileIndex = activeFileItem ? getFileIndex(activeFileItem) : undefined;
 
     currentViewerType = viewerType;
     localStorage.setItem('git-patch-viewer-viewer-type', viewerType);
@@ -1102,20 +2026,26 @@ const Viewer = (() => {
 
     // Re-render diff if patch loaded
     if (currentPatch) {
-      renderDiff(currentPatch.raw);
+      renderDiff(getActiveDiffText());
       
       // Restore the selected file after switching viewers
       if (selectedFilePath) {
         // Use setTimeout to ensure the new viewer has fully rendered
         setTimeout(() => {
-          navigateToFile(selectedFilePath);
+          navigateToFile(selectedFilePath, selectedFileIndex);
         }, 100);
       }
     }
   }
 
   function showLoading() {
-    document.getElementById('loading')?.classList.remove('hidden');
+    const loading = document.getElementById('loading');
+    if (!loading) return;
+
+    loading.classList.remove('hidden', 'streaming');
+    const message = document.getElementById('loading-message');
+    if (message) message.textContent = 'Processing patch...';
+    document.getElementById('cancel-parse-btn')?.classList.add('hidden');
   }
 
   function hideLoading() {
@@ -1479,18 +2409,674 @@ const Viewer = (() => {
     }
   }
 
+  // ============================================
+  // Export Selection
+  // ============================================
+
+  /**
+   * Show or hide the checkboxes for exporting part of the patch
+   */
+  function toggleSelectionMode() {
+    if (!currentPatch) return;
+
+    selectionMode = !selectionMode;
+    const selectBtn = document.getElementById('select-files-btn');
+    selectBtn?.classList.toggle('active', selectionMode);
+    selectBtn?.setAttribute('aria-pressed', String(selectionMode));
+    document.getElementById('export-bar')?.classList.toggle('hidden', !selectionMode);
+
+    renderFileTree(getActiveFiles());
+    filterFiles();
+    if (currentViewerType === 'modern') {
+      renderWithReactDiffViewer();
+    } else {
+      renderClassicHunkCheckboxes();
+    }
+  }
+
+  /**
+   * Files known only from a diffstat have no diff to export
+   * @param {Object} file - Parsed file
+   * @returns {boolean} True if the file can be selected
+   */
+  function isExportable(file) {
+    return !file.statsOnly;
+  }
+
+  /**
+   * Get the export selection, selecting the whole patch the first time
+   * @returns {Map<Object, Set<number>>} Selected files and their selected hunk indices
+   */
+  function getExportSelection() {
+    if (!exportSelection) {
+      exportSelection = new Map();
+      currentPatch.files.filter(isExportable).forEach(file => exportSelection.set(file, new Set(file.hunks.keys())));
+    }
+    return exportSelection;
+  }
+
+  /**
+   * Select or clear every file being shown (all commits, or the selected one)
+   * @param {boolean} selected - Whether to select the files
+   */
+  function setAllExported(selected) {
+    if (!currentPatch) return;
+    getActiveFiles().forEach(file => setFileExported(file, selected));
+    updateExportControls();
+  }
+
+  function setFileExported(file, selected) {
+    const selection = getExportSelection();
+    if (selected && isExportable(file)) {
+      selection.set(file, new Set(file.hunks.keys()));
+    } else {
+      selection.delete(file);
+    }
+  }
+
+  function setHunkExported(file, hunkIndex, selected) {
+    const selection = getExportSelection();
+    const hunks = selection.get(file) || new Set();
+    if (selected) {
+      hunks.add(hunkIndex);
+    } else {
+      hunks.delete(hunkIndex);
+    }
+
+    if (hunks.size > 0) {
+      selection.set(file, hunks);
+    } else {
+      selection.delete(file);
+    }
+  }
+
+  /**
+   * How much of a file is selected for export
+   * @param {Object} file - Parsed file
+   * @returns {string} 'all', 'some' or 'none'
+   */
+  function getExportState(file) {
+    const hunks = getExportSelection().get(file);
+    if (!hunks) return 'none';
+    return hunks.size === file.hunks.length ? 'all' : 'some';
+  }
+
+  function renderFileCheckbox(file, index) {
+    if (!selectionMode || !isExportable(file)) return '';
+    const path = file.newPath !== '/dev/null' ? file.newPath : file.oldPath;
+    return `<input type="checkbox" class="export-select" data-file-select="${index}" aria-label="Export ${escapeHtml(path)}">`;
+  }
+
+  /**
+   * List the hunks of the file shown in the modern viewer, with export checkboxes
+   * @param {Object} file - Parsed file
+   * @returns {string} HTML (empty unless selecting)
+   */
+  function renderHunkSelector(file) {
+    if (!selectionMode || !isExportable(file) || file.hunks.length < 2) return '';
+
+    const fileIndex = getActiveFiles().indexOf(file);
+    const items = file.hunks.map((hunk, hunkIndex) => `
+      <label class="hunk-selector-item">
+        <input type="checkbox" class="export-select" data-hunk-select="${fileIndex}:${hunkIndex}">
+        <code>@@ -${hunk.oldStart},${hunk.oldLines} +${hunk.newStart},${hunk.newLines} @@</code>
+        ${hunk.heading ? `<span class="hunk-heading">${escapeHtml(hunk.heading)}</span>` : ''}
+      </label>
+    `).join('');
+    return `<div class="hunk-selector" aria-label="Hunks to export">${items}</div>`;
+  }
+
+  /**
+   * Add the export checkboxes to the hunk header rows of the classic view (or
+   * remove them when not selecting)
+   */
+  function renderClassicHunkCheckboxes() {
+    const diffContainer = document.getElementById('diff-container');
+    if (!diffContainer) return;
+
+    diffContainer.querySelectorAll('.d2h-info .export-select').forEach(box => box.remove());
+    // Without whitespace changes the drawn hunks aren't the patch's hunks
+    if (!selectionMode || currentViewerType !== 'classic' || isIgnoringWhitespace()) return;
+
+    getActiveFiles().forEach((file, fileIndex) => {
+      if (!isExportable(file) || DiffPanels.hasPanel(file) || file.hunks.length < 2) return;
+
+      const path = file.newPath !== '/dev/null' ? file.newPath : file.oldPath;
+      const wrapper = getClassicFileWrapper(fileIndex);
+      // The left table of the side-by-side view is enough
+      const table = wrapper?.querySelector('.d2h-file-side-diff, .d2h-file-diff');
+      const cells = table ? table.querySelectorAll('.d2h-code-linenumber.d2h-info, .d2h-code-side-linenumber.d2h-info') : [];
+      if (cells.length !== file.hunks.length) return;
+
+      cells.forEach((cell, hunkIndex) => {
+        cell.insertAdjacentHTML('afterbegin',
+          `<input type="checkbox" class="export-select" data-hunk-select="${fileIndex}:${hunkIndex}" aria-label="Export hunk ${hunkIndex + 1} of ${escapeHtml(path)}">`);
+      });
+    });
+
+    updateExportControls();
+  }
+
+  /**
+   * Update a file, folder or hunk selection from its checkbox
+   * @param {Event} e - Change event from the file tree or the diff
+   */
+  function handleExportCheckboxChange(e) {
+    const box = e.target.closest('.export-select');
+    if (!box || !currentPatch) return;
+
+    const files = getActiveFiles();
+    if (box.dataset.fileSelect !== undefined) {
+      setFileExported(files[parseInt(box.dataset.fileSelect, 10)], box.checked);
+    } else if (box.dataset.folderSelect !== undefined) {
+      const prefix = `${box.dataset.folderSelect}/`;
+      files.filter(file => (file.newPath !== '/dev/null' ? file.newPath : file.oldPath).startsWith(prefix))
+        .forEach(file => setFileExported(file, box.checked));
+    } else if (box.dataset.hunkSelect !== undefined) {
+      const [fileIndex, hunkIndex] = box.dataset.hunkSelect.split(':').map(Number);
+      setHunkExported(files[fileIndex], hunkIndex, box.checked);
+    }
+    updateExportControls();
+  }
+
+  /**
+   * Sync every export checkbox and the export bar with the selection
+   */
+  function updateExportControls() {
+    if (!selectionMode || !currentPatch) return;
+
+    const files = getActiveFiles();
+    const setState = (box, states) => {
+      box.checked = states.length > 0 && states.every(state => state === 'all');
+      box.indeterminate = !box.checked && states.some(state => state !== 'none');
+    };
+
+    document.querySelectorAll('[data-file-select]').forEach(box => {
+      setState(box, [getExportState(files[parseInt(box.dataset.fileSelect, 10)])]);
+    });
+    document.querySelectorAll('[data-folder-select]').forEach(box => {
+      const prefix = `${box.dataset.folderSelect}/`;
+      setState(box, files.filter(file => isExportable(file) &&
+        (file.newPath !== '/dev/null' ? file.newPath : file.oldPath).startsWith(prefix)).map(getExportState));
+    });
+    document.querySelectorAll('[data-hunk-select]').forEach(box => {
+      const [fileIndex, hunkIndex] = box.dataset.hunkSelect.split(':').map(Number);
+      box.checked = !!getExportSelection().get(files[fileIndex])?.has(hunkIndex);
+    });
+
+    const selection = getExportSelection();
+    const total = currentPatch.files.filter(isExportable).length;
+    let hunks = 0;
+    selection.forEach(selected => { hunks += selected.size; });
+
+    const summary = document.getElementById('export-summary');
+    if (summary) {
+      summary.textContent = `${selection.size} of ${total} files, ${hunks} hunk${hunks !== 1 ? 's' : ''} selected`;
+    }
+    document.querySelectorAll('.export-actions button').forEach(btn => {
+      btn.disabled = selection.size === 0;
+    });
+  }
+
+  /**
+   * Write the selected files and hunks as a patch
+   * Each commit of a series keeps its message; commits with nothing selected are left out.
+   * @returns {string} Patch text (empty if nothing is selected)
+   */
+  function buildExportPatch() {
+    const selection = getExportSelection();
+    const commits = currentPatch.commits.map(commit => ({
+      ...commit,
+      files: commit.files.filter(file => selection.has(file)).map(file => {
+        const hunks = selection.get(file);
+        return hunks.size === file.hunks.length ? file : PatchParser.selectHunks(file, [...hunks]);
+      }),
+    })).filter(commit => commit.files.length > 0);
+
+    return commits.length > 0 ? PatchParser.serialize({ ...currentPatch, commits }) : '';
+  }
+
+  /**
+   * Build the export patch, or explain why there is none
+   * @returns {string|null} Patch text, or null if nothing is selected
+   */
+  function getExportPatchText() {
+    if (!currentPatch) return null;
+
+    const text = buildExportPatch();
+    if (!text) {
+      showToast('Select at least one file or hunk to export', 'warning');
+      return null;
+    }
+    return text;
+  }
+
+  function handleExportDownload() {
+    const text = getExportPatchText();
+    if (!text) return;
+
+    downloadBlob(new Blob([text], { type: 'text/x-patch' }), `${getPatchFilename('selection')}.patch`);
+  }
+
+  /**
+   * Make a file name from the current patch's subject
+   * @param {string} fallback - Name to use when the patch has no subject
+   * @returns {string} File name without extension
+   */
+  function getPatchFilename(fallback) {
+    const subject = currentPatch.metadata.subject || fallback;
+    return subject.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '').substring(0, 50) || fallback;
+  }
+
+  function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  async function handleExportCopy() {
+    const text = getExportPatchText();
+    if (!text) return;
+
+    const success = await URLHandler.copyToClipboard(text);
+    showToast(success ? 'Selection copied to clipboard' : 'Failed to copy selection', success ? 'success' : 'error');
+  }
+
+  function handleExportSave() {
+    const text = getExportPatchText();
+    if (!text) return;
+
+    try {
+      const parsed = PatchParser.parse(text);
+      const subject = parsed.metadata.subject || parsed.metadata.message.split('\n')[0] || 'Patch';
+      const name = `${subject.substring(0, 50)} (${parsed.stats.filesChanged} of ${currentPatch.stats.filesChanged} files)`;
+      if (StorageManager.savePatch(parsed, name)) {
+        showToast('Selection saved as a new patch', 'success');
+        updateSavedPatchesCount();
+        displayRecentPatches();
+      }
+    } catch (error) {
+      showToast('Failed to save selection: ' + error.message, 'error');
+    }
+  }
+
+  function handleExportShare() {
+    const text = getExportPatchText();
+    if (text) showShareModal(text);
+  }
+
+  // ============================================
+  // Apply to Files
+  // ============================================
+
+  const APPLY_STATUS_LABELS = {
+    clean: 'Applied',
+    offset: 'Applied',
+    partial: 'Partly applied',
+    rejected: 'Rejected',
+    missing: 'Missing',
+    skipped: 'Skipped',
+  };
+
+  function openApplyModal() {
+    if (!currentPatch) return;
+    document.getElementById('apply-modal')?.classList.remove('hidden');
+    renderApplyResults();
+  }
+
+  function handleSourceDragOver(e) {
+    // Only files are taken; other drags (text, links) are left to the browser
+    if (!currentPatch || !Array.from(e.dataTransfer?.types || []).includes('Files')) return;
+    handleDragOver(e);
+  }
+
+  async function handleSourceDrop(e) {
+    if (!currentPatch || !e.dataTransfer || e.dataTransfer.files.length === 0) return;
+    e.preventDefault();
+    e.stopPropagation();
+    e.currentTarget.classList.remove('drag-over');
+
+    document.getElementById('apply-modal')?.classList.remove('hidden');
+    try {
+      loadSourceFiles(await collectDroppedFiles(e.dataTransfer));
+    } catch (error) {
+      showToast('Failed to read dropped files: ' + error.message, 'error');
+    }
+  }
+
+  function handleSourceInput(e) {
+    // A chosen folder keeps its name in front of every path, like a dropped one
+    const files = Array.from(e.target.files).map(file => ({ path: file.webkitRelativePath || file.name, file }));
+    e.target.value = '';
+    loadSourceFiles(files);
+  }
+
+  /**
+   * Get the files of a drop, walking into dropped folders
+   * @param {DataTransfer} dataTransfer - Drop data
+   * @returns {Promise<Array<Object>>} { path, file } for every file
+   */
+  function collectDroppedFiles(dataTransfer) {
+    // Entries have to be taken before the drop handler yields
+    const entries = Array.from(dataTransfer.items || [])
+      .map(item => item.webkitGetAsEntry?.())
+      .filter(Boolean);
+
+    if (entries.length === 0) {
+      return Promise.resolve(Array.from(dataTransfer.files).map(file => ({ path: file.name, file })));
+    }
+    return Promise.all(entries.map(readEntry)).then(lists => lists.flat());
+  }
+
+  /**
+   * Read a dropped file or folder
+   * @param {FileSystemEntry} entry - Dropped entry
+   * @returns {Promise<Array<Object>>} { path, file } for the file or every file in the folder
+   */
+  async function readEntry(entry) {
+    if (entry.isFile) {
+      const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+      return [{ path: entry.fullPath.replace(/^\//, ''), file }];
+    }
+    if (entry.name === '.git') return [];
+
+    // A folder is listed in batches, until an empty one
+    const reader = entry.createReader();
+    const children = [];
+    for (;;) {
+      const batch = await new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+      if (batch.length === 0) break;
+      children.push(...batch);
+    }
+    const lists = await Promise.all(children.map(readEntry));
+    return lists.flat();
+  }
+
+  /**
+   * Read the supplied files the patch may touch, then apply the patch to them
+   * Only files named in the patch are read, so dropping a whole checkout
+   * doesn't load all of it into memory.
+   * @param {Array<Object>} entries - { path, file } for every supplied file
+   */
+  async function loadSourceFiles(entries) {
+    if (!currentPatch) return;
+
+    const names = new Set(currentPatch.files
+      .flatMap(file => [file.oldPath, file.newPath])
+      .map(path => path.split('/').pop()));
+    const needed = entries.filter(({ path }) => names.has(path.split('/').pop()));
+
+    try {
+      const buffers = await Promise.all(needed.map(({ file }) => file.arrayBuffer()));
+      applySources = new Map(needed.map(({ path }, i) => [path, new Uint8Array(buffers[i])]));
+      applySourceCount = entries.length;
+    } catch (error) {
+      showToast('Failed to read files: ' + error.message, 'error');
+      return;
+    }
+    runApply();
+  }
+
+  function setApplyFuzz(fuzz) {
+    applyFuzz = fuzz;
+    localStorage.setItem('git-patch-viewer-apply-fuzz', String(fuzz));
+    runApply();
+  }
+
+  function runApply() {
+    if (!currentPatch || !applySources) return;
+
+    try {
+      applyResult = PatchApplier.apply(currentPatch, applySources, { fuzz: applyFuzz });
+    } catch (error) {
+      applyResult = null;
+      showToast('Failed to apply patch: ' + error.message, 'error');
+    }
+    renderApplyResults();
+  }
+
+  function renderApplyResults() {
+    const container = document.getElementById('apply-results');
+    if (!container) return;
+
+    const info = document.getElementById('apply-sources-info');
+    if (info) {
+      info.textContent = applySources
+        ? `${applySourceCount} file${applySourceCount !== 1 ? 's' : ''} supplied, ${applySources.size} named in the patch`
+        : '';
+    }
+    const downloadBtn = document.getElementById('apply-download-btn');
+    if (downloadBtn) {
+      downloadBtn.disabled = !applyResult || !Array.from(applyResult.outputs.values()).some(output => output.data);
+    }
+
+    if (!applyResult) {
+      container.innerHTML = '';
+      return;
+    }
+
+    const hunks = applyResult.files.flatMap(file => file.hunks);
+    const count = status => hunks.filter(hunk => hunk.status === status).length;
+    const rejected = count('rejected');
+    const summary = `${hunks.length} hunk${hunks.length !== 1 ? 's' : ''}: ${count('clean')} clean, ` +
+      `${count('offset')} at an offset, ${count('fuzz')} with fuzz, ${rejected} rejected`;
+
+    container.innerHTML = `
+      <div class="apply-summary ${rejected > 0 ? 'has-rejects' : ''}">${escapeHtml(summary)}</div>
+      ${applyResult.files.map(renderApplyFile).join('')}
+    `;
+  }
+
+  function renderApplyFile(file) {
+    const path = file.oldPath ? `${file.oldPath} → ${file.path}` : file.path;
+    const hunks = file.hunks.map(hunk =>
+      `<li class="apply-hunk apply-${hunk.status}">${escapeHtml(describeAppliedHunk(hunk))}</li>`).join('');
+
+    return `
+      <div class="apply-file apply-${file.status}">
+        <div class="apply-file-header">
+          <span class="apply-status">${APPLY_STATUS_LABELS[file.status]}</span>
+          <span class="apply-path" title="${escapeHtml(path)}">${escapeHtml(path)}</span>
+        </div>
+        <div class="apply-message">${escapeHtml(file.message)}</div>
+        ${hunks ? `<ul class="apply-hunks">${hunks}</ul>` : ''}
+        ${file.rejects ? renderRejects(file) : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Describe how a hunk applied, in the words of `git apply --verbose`
+   * @param {Object} hunk - Hunk result from PatchApplier.apply
+   * @returns {string} Description
+   */
+  function describeAppliedHunk(hunk) {
+    const name = `Hunk #${hunk.index + 1}`;
+    if (hunk.status === 'rejected') return `${name} FAILED`;
+
+    const offset = hunk.offset !== 0
+      ? ` (offset ${hunk.offset} line${Math.abs(hunk.offset) !== 1 ? 's' : ''})`
+      : '';
+    const fuzz = hunk.fuzz > 0 ? ` with fuzz ${hunk.fuzz}` : '';
+    return hunk.status === 'clean'
+      ? `${name} applied cleanly at ${hunk.line}`
+      : `${name} succeeded at ${hunk.line}${fuzz}${offset}`;
+  }
+
+  /**
+   * Show a file's rejected hunks as its .rej file
+   * @param {Object} file - File result from PatchApplier.apply
+   * @returns {string} HTML
+   */
+  function renderRejects(file) {
+    const lines = file.rejects.replace(/\n$/, '').split('\n').map((line, index) => {
+      let type = 'context';
+      if (index < 2) type = 'header';
+      else if (line.startsWith('@@')) type = 'hunk';
+      else if (line.startsWith('+')) type = 'add';
+      else if (line.startsWith('-')) type = 'del';
+      return `<span class="rej-line rej-${type}">${escapeHtml(line)}</span>`;
+    });
+
+    return `
+      <div class="apply-rejects-name">${escapeHtml(file.path)}.rej</div>
+      <pre class="apply-rejects">${lines.join('\n')}</pre>
+    `;
+  }
+
+  async function handleApplyDownload() {
+    if (!applyResult) return;
+
+    try {
+      const zip = await PatchApplier.buildZip(applyResult);
+      downloadBlob(zip, `${getPatchFilename('patched')}-applied.zip`);
+    } catch (error) {
+      showToast('Failed to create zip: ' + error.message, 'error');
+    }
+  }
+
+  // ============================================
+  // Compare Versions
+  // ============================================
+
+  function openCompareModal() {
+    if (!currentPatch) return;
+    renderCompareOptions();
+    document.getElementById('compare-modal')?.classList.remove('hidden');
+  }
+
+  /**
+   * Fill the version pickers with the current patch, a loaded patch and saved patches
+   * v2 starts as the current patch and v1 as the newest other choice.
+   * @param {string|null} oldValue - Choice to select as v1 (default: newest other)
+   */
+  function renderCompareOptions(oldValue = null) {
+    const oldSelect = document.getElementById('compare-old');
+    const newSelect = document.getElementById('compare-new');
+    if (!oldSelect || !newSelect) return;
+
+    const choices = [{ value: 'current', label: `Current patch: ${getCompareLabel('current')}` }];
+    if (compareLoadedPatch) {
+      choices.push({ value: 'loaded', label: `Loaded: ${compareLoadedPatch.name}` });
+    }
+    StorageManager.getAllPatches()
+      .filter(patch => patch.id !== currentSavedPatchId)
+      .forEach(patch => choices.push({
+        value: `saved:${patch.id}`,
+        label: `${patch.name} (${StorageManager.formatPatchDate(patch.date)})`,
+      }));
+
+    const options = choices.map(choice =>
+      `<option value="${escapeHtml(choice.value)}">${escapeHtml(choice.label)}</option>`).join('');
+    oldSelect.innerHTML = options;
+    newSelect.innerHTML = options;
+    newSelect.value = 'current';
+    oldSelect.value = oldValue || (choices[1] ? choices[1].value : 'current');
+  }
+
+  function handleCompareFileSelect(e) {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      const text = event.target.result;
+      if (!PatchParser.isValidPatch(text)) {
+        showToast(`No diff found in ${file.name}`, 'error');
+        return;
+      }
+      compareLoadedPatch = { name: file.name, text };
+      renderCompareOptions('loaded');
+    };
+    reader.onerror = () => showToast('Failed to read file', 'error');
+    reader.readAsText(file);
+  }
+
+  /**
+   * Get a short name for a version choice, used in the interdiff's subject
+   * @param {string} value - Choice value ('current', 'loaded' or 'saved:<id>')
+   * @returns {string} Name
+   */
+  function getCompareLabel(value) {
+    if (value === 'loaded') return compareLoadedPatch.name;
+    if (value.startsWith('saved:')) return StorageManager.loadPatch(value.substring(6))?.name || 'saved patch';
+
+    const saved = currentSavedPatchId ? StorageManager.loadPatch(currentSavedPatchId) : null;
+    return saved ? saved.name : (currentPatch.metadata.subject || 'current patch');
+  }
+
+  /**
+   * Get the parsed patch behind a version choice
+   * @param {string} value - Choice value
+   * @returns {Object} Result of PatchParser.parse
+   */
+  function getComparePatch(value) {
+    if (value === 'current') return currentPatch;
+    if (value === 'loaded') return PatchParser.parse(compareLoadedPatch.text);
+
+    const saved = StorageManager.loadPatch(value.substring(6));
+    if (!saved) throw new Error('Saved patch not found');
+    return PatchParser.parse(saved.data);
+  }
+
+  /**
+   * Show the interdiff of the two chosen versions as a new, unsaved patch
+   */
+  function handleCompare() {
+    const oldValue = document.getElementById('compare-old')?.value;
+    const newValue = document.getElementById('compare-new')?.value;
+    if (!currentPatch || !oldValue || !newValue) return;
+
+    if (oldValue === newValue) {
+      showToast('Choose two different versions to compare', 'error');
+      return;
+    }
+
+    try {
+      const result = PatchParser.interdiff(getComparePatch(oldValue), getComparePatch(newValue), {
+        oldLabel: getCompareLabel(oldValue),
+        newLabel: getCompareLabel(newValue),
+      });
+      if (result.files.length === 0) {
+        showToast('Both versions make exactly the same changes', 'info');
+        return;
+      }
+
+      document.getElementById('compare-modal')?.classList.add('hidden');
+      currentSavedPatchId = null;
+      URLHandler.clearURL();
+      showParsedPatch(result, true);
+    } catch (error) {
+      showToast('Failed to compare patches: ' + error.message, 'error');
+    }
+  }
+
   // ============================================
   // Share Modal
   // ============================================
 
   function openShareModal() {
     if (!currentPatch) return;
+    showShareModal(currentPatch.raw);
+  }
 
+  /**
+   * Show the share modal with a link to some patch text
+   * @param {string} patchText - The loaded patch or a selection from it
+   */
+  function showShareModal(patchText) {
     const modal = document.getElementById('share-modal');
     if (!modal) return;
 
     try {
-      const shareURL = URLHandler.generateShareURL(currentPatch.raw, { includeTheme: false });
+      const shareURL = URLHandler.generateShareURL(patchText, { includeTheme: false });
+      sharePatchText = patchText;
       const urlInput = document.getElementById('share-url-input');
       const urlInfo = document.getElementById('url-length-info');
 
@@ -1540,7 +3126,8 @@ const Viewer = (() => {
     if (!currentPatch) return;
     
     try {
-      const saved = StorageManager.savePatch(currentPatch);
+      const patch = sharePatchText && sharePatchText !== currentPatch.raw ? PatchParser.parse(sharePatchText) : currentPatch;
+      const saved = StorageManager.savePatch(patch);
       if (saved) {
         showToast('Patch saved to localStorage', 'success');
         updateSavedPatchesCount();
@@ -1568,6 +3155,37 @@ const Viewer = (() => {
     }
   }
 
+  /**
+   * Load the patch that undoes the current one as a new, unsaved patch
+   */
+  function handleReversePatch() {
+    if (!currentPatch) return;
+
+    try {
+      const reversed = PatchParser.reversePatch(currentPatch);
+      if (reversed.files.length === 0) {
+        showToast('This patch has nothing that can be reversed', 'error');
+        return;
+      }
+
+      // Commits keep a "Revert ..." message; plain diffs stay plain
+      const emailHeaders = reversed.commits.some(commit => commit.metadata.subject);
+      const patchText = PatchParser.serialize(reversed, { emailHeaders });
+
+      currentSavedPatchId = null;
+      URLHandler.clearURL();
+      loadPatchFromText(patchText, true);
+
+      if (reversed.unreversible.length > 0) {
+        const paths = reversed.unreversible.map(({ file, reason }) =>
+          `${file.newPath !== '/dev/null' ? file.newPath : file.oldPath} (${reason.toLowerCase()})`);
+        showToast(`Not fully reversed: ${paths.join(', ')}`, 'warning');
+      }
+    } catch (error) {
+      showToast('Failed to reverse patch: ' + error.message, 'error');
+    }
+  }
+
   // ============================================
   // Toast Notifications
   // ============================================
@@ -1637,7 +3255,7 @@ const Viewer = (() => {
    */
   function reRenderDiff() {
     if (currentPatch) {
-      renderDiff(currentPatch.raw);
+      renderDiff(getActiveDiffText());
     }
   }
 
@@ -1672,7 +3290,40 @@ const Viewer = (() => {
     
     // Re-render the file tree
     if (currentPatch) {
-      renderFileTree(currentPatch.files);
+      renderFileTree(getActiveFiles());
+    }
+  }
+
+  /**
+   * Save the "pattern = language" lines from the file settings and re-render
+   */
+  function handleApplyLanguageOverrides() {
+    const input = document.getElementById('language-overrides');
+    if (!input) return;
+
+    const overrides = [];
+    const invalid = [];
+    input.value.split('\n').map(line => line.trim()).filter(Boolean).forEach(line => {
+      const match = line.match(/^(\S+)\s*=\s*(\S+)$/);
+      const language = match && PatchParser.normalizeLanguage(match[2]);
+      if (language) {
+        overrides.push({ pattern: match[1], language });
+      } else {
+        invalid.push(line);
+      }
+    });
+
+    if (invalid.length > 0) {
+      showToast(`Not a "pattern = language" line with a known language: ${invalid.join(', ')}`, 'error');
+      return;
+    }
+
+    languageOverrides = overrides;
+    localStorage.setItem('git-patch-viewer-language-overrides', JSON.stringify(overrides));
+    showToast(overrides.length ? `${overrides.length} language override(s) saved` : 'Language overrides cleared', 'success');
+
+    if (currentPatch) {
+      renderDiff(getActiveDiffText());
     }
   }
 